@@ -0,0 +1,517 @@
+#!/usr/bin/env node
+// zkuni: run, verify and decrypt matching rounds from the command line.
+//
+//   zkuni keys    (--students N --colleges M | --roster roster.csv) [--round label] [--out keys/]
+//   zkuni registry add|rotate|revoke|snapshot|verify ...
+//   zkuni match   --input round.json [--keys keys/public-roster.json] [--out results/] [--dry-run]
+//   zkuni verify  [--results results/ | --bundle bundle.zkub] [--commitment 0x..]
+//   zkuni decrypt --key student.json [--results results/] [--seed 0x..]
+//   zkuni solidity [--out HonkVerifier.sol]
+//   zkuni vk      [--out circuit/target/vk-fingerprint.json] [--check]
+//   zkuni serve   [--data coordinator/] [--port 8080] [--host 127.0.0.1]
+//   zkuni commit  --server http://.. --round label --key student.json --preferences "Yale,Harvard"
+//   zkuni reveal  --server http://.. --key student.json [--reveal student-reveal.json]
+//
+// round.json holds a roster (see src/matching.js) and optionally
+// `permutationSeed` and `nonceSeed`; fresh ones are drawn when absent.
+// `match` keeps them apart: permutation.json, which participants get after
+// the round to `decrypt`, and secrets.json with the nonce seed, which only the
+// coordinator ever reads.
+// `keys` provisions key pairs (src/provisioning.js): a public roster whose
+// public keys `match --keys` fills into the round, and one private key file
+// per participant, like { "role": "student", "id": 0, "privateKey": "0x.." }.
+// `registry` keeps the participant key registry (src/key-registry.js) and
+// takes committed snapshots of it, which `match --keys` accepts as well.
+// A proven round includes a proof bundle (src/bundle.js) in JSON and binary
+// form; either one is enough for `verify`. `vk` records the fingerprint of the
+// circuit's verification key, which verifier.html is built with and accepts
+// no other key than; `vk --check` fails until that file has a fingerprint
+// for the current circuit.
+// `serve` runs the HTTP coordinator (server/coordinator.js); its bearer token
+// comes from ZKUNI_COORDINATOR_TOKEN. `commit` publishes a participant's
+// preference commitment (src/commitment.js) to a coordinator round and keeps
+// the ranking and salt in a private reveal file; once commitments close,
+// `reveal` seals that file to the round (src/submission.js). Both take the
+// participant's bearer token from ZKUNI_TOKEN.
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import { basename, join } from "node:path";
+import { parseArgs } from "node:util";
+import circuit from "../circuit/target/circuit.json" with { type: "json" };
+import { serveCoordinator } from "../server/coordinator.js";
+import {
+  N_COLLEGE_QUOTA,
+  N_STUDENT_PREFERENCE,
+  SNAPSHOT_FORMAT,
+  UNMATCHED,
+  addParticipantKey,
+  circuitInfo,
+  createBundle,
+  createKeyRegistry,
+  decodeMatchResults,
+  decryptForCollege,
+  decryptForStudent,
+  execute,
+  exportBundleBinary,
+  exportBundleJson,
+  generatePermutationMaps,
+  generatePermutationSeed,
+  getSolidityVerifier,
+  getVerificationKey,
+  importBundle,
+  importRoster,
+  keyFileName,
+  keyFileProblems,
+  preferenceCommitment,
+  prepareInputs,
+  sealSubmission,
+  prove,
+  provisionKeys,
+  publishedFingerprintProblems,
+  revokeParticipantKey,
+  rotateParticipantKey,
+  snapshotRegistry,
+  verificationKeyFingerprint,
+  verifyBundle,
+  verifySnapshot
+} from "../src/index.js";
+import { randomScalar } from "../src/elgamal.js";
+import { toBigInt, toHex } from "../src/grumpkin.js";
+
+const FILES = {
+  bundle: "bundle.zkub",
+  bundleJson: "bundle.json",
+  manifest: "manifest.json",
+  permutation: "permutation.json",
+  publicRoster: "public-roster.json",
+  results: "results.json",
+  secrets: "secrets.json"
+};
+
+const USAGE = `Usage:
+  zkuni keys    (--students <n> --colleges <m> | --roster <file>) [--round <label>] [--out <dir>]
+  zkuni registry add      --registry <file> (--keys <public-roster.json> | --key <key.json>)
+  zkuni registry rotate   --registry <file> --key <key.json>
+  zkuni registry revoke   --registry <file> --participant <student-0> [--reason <text>]
+  zkuni registry snapshot --registry <file> [--round <label>] [--out <snapshot.json>]
+  zkuni registry verify   --snapshot <file> [--commitment <hex>] [--input <round.json>]
+  zkuni match   --input <round.json> [--keys <public-roster.json | snapshot.json>] [--out <dir>] [--dry-run]
+  zkuni verify  [--results <dir> | --bundle <file>] [--commitment <hex>]
+  zkuni decrypt --key <key.json> [--results <dir>] [--seed <hex>]
+  zkuni solidity [--out <file.sol>]
+  zkuni vk      [--out <file.json>] [--check]
+  zkuni serve   [--data <dir>] [--port <n>] [--host <address>]
+  zkuni commit  --server <url> --round <label> --key <key.json> --preferences <name,name,..> [--capacity <n>] [--out <reveal.json>]
+  zkuni reveal  --server <url> --key <key.json> [--reveal <reveal.json>]`;
+
+class UsageError extends Error {}
+
+const readJson = async path => JSON.parse(await readFile(path, "utf8"));
+const writeJson = (path, value, options) => writeFile(path, JSON.stringify(value, null, 2) + "\n", options);
+
+function required(values, name) {
+  if (values[name] === undefined) throw new UsageError(`--${name} is required`);
+  return values[name];
+}
+
+// Provision key pairs for a round. Existing files are never overwritten.
+async function keys(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      students: { type: "string" },
+      colleges: { type: "string" },
+      roster: { type: "string" },
+      round: { type: "string" },
+      out: { type: "string", default: "keys" }
+    }
+  });
+  let participants;
+  if (values.roster !== undefined) {
+    const text = await readFile(values.roster, "utf8");
+    participants = importRoster(text, values.roster.endsWith(".json") ? { format: "json" } : undefined).directory;
+  } else {
+    const count = name => {
+      const value = Number(required(values, name));
+      if (!Number.isInteger(value)) throw new UsageError(`--${name} must be an integer`);
+      return value;
+    };
+    participants = { students: count("students"), colleges: count("colleges") };
+  }
+  const { publicRoster, keyFiles } = provisionKeys({ ...participants, round: values.round ?? null });
+
+  await mkdir(values.out, { recursive: true });
+  await writeJson(join(values.out, FILES.publicRoster), publicRoster, { flag: "wx" });
+  for (const keyFile of keyFiles) {
+    await writeJson(join(values.out, keyFileName(keyFile)), keyFile, { flag: "wx", mode: 0o600 });
+  }
+  console.log(`Provisioned ${publicRoster.students.length} student and ${publicRoster.colleges.length} college keys`);
+  console.log(`Wrote ${FILES.publicRoster} and ${keyFiles.length} private key files to ${values.out}/`);
+  return 0;
+}
+
+// Participants and public keys named by --keys (a public roster) or --key
+// (one key file, private or public)
+async function registryKeys(values) {
+  if (values.key !== undefined) {
+    const { role, id, name, publicKey } = await readJson(values.key);
+    return [{ participant: { role, id }, name, publicKey }];
+  }
+  const roster = await readJson(required(values, "keys"));
+  return ["student", "college"].flatMap(role => roster[`${role}PublicKeys`].map((publicKey, id) =>
+    ({ participant: { role, id }, name: roster[`${role}s`]?.[id], publicKey })));
+}
+
+async function registry([action, ...args]) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      registry: { type: "string" },
+      keys: { type: "string" },
+      key: { type: "string" },
+      participant: { type: "string" },
+      reason: { type: "string" },
+      round: { type: "string" },
+      out: { type: "string", default: "snapshot.json" },
+      snapshot: { type: "string" },
+      commitment: { type: "string" },
+      input: { type: "string" }
+    }
+  });
+
+  if (action === "verify") {
+    const snapshot = await readJson(required(values, "snapshot"));
+    const roster = values.input === undefined ? undefined : await readJson(values.input);
+    const problems = await verifySnapshot(snapshot, { commitment: values.commitment, roster });
+    console.log(`Snapshot commits to keys ${snapshot.commitment}`);
+    problems.forEach(problem => console.log(`  ${problem}`));
+    console.log(problems.length === 0 ? "Snapshot is consistent" : "Snapshot is INVALID");
+    return problems.length === 0 ? 0 : 1;
+  }
+
+  const path = required(values, "registry");
+  let current = await readJson(path).catch(err => {
+    if (err.code === "ENOENT" && action === "add") return createKeyRegistry();
+    throw err;
+  });
+  if (action === "add") {
+    for (const { participant, name, publicKey } of await registryKeys(values)) {
+      current = await addParticipantKey(current, participant, publicKey, { name });
+    }
+  } else if (action === "rotate") {
+    const [{ participant, publicKey }] = await registryKeys({ key: required(values, "key") });
+    current = await rotateParticipantKey(current, participant, publicKey);
+  } else if (action === "revoke") {
+    const parsed = /^(student|college)-(\d+)$/.exec(required(values, "participant"));
+    if (!parsed) throw new UsageError("--participant must look like student-0 or college-2");
+    current = revokeParticipantKey(current, { role: parsed[1], id: Number(parsed[2]) }, { reason: values.reason ?? null });
+  } else if (action === "snapshot") {
+    const snapshot = await snapshotRegistry(current, { round: values.round ?? null });
+    await writeJson(values.out, snapshot);
+    console.log(`Snapshot of ${snapshot.students.length} student and ${snapshot.colleges.length} college keys`);
+    console.log(`Key commitment (publish before the run): ${snapshot.commitment}`);
+    return 0;
+  } else {
+    throw new UsageError(`unknown registry action ${JSON.stringify(action)}`);
+  }
+  await writeJson(path, current);
+  console.log(`Updated ${path}`);
+  return 0;
+}
+
+async function match(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      input: { type: "string" },
+      keys: { type: "string" },
+      out: { type: "string", default: "results" },
+      "dry-run": { type: "boolean", default: false }
+    }
+  });
+  const round = await readJson(required(values, "input"));
+  let keySnapshot = null;
+  if (values.keys !== undefined) {
+    const keys = await readJson(values.keys);
+    if (keys.format === SNAPSHOT_FORMAT) {
+      const problems = await verifySnapshot(keys);
+      if (problems.length > 0) throw new Error(`Invalid key snapshot:\n  ${problems.join("\n  ")}`);
+      console.log(`Encrypting to the keys of registry snapshot ${keys.commitment}`);
+      keySnapshot = keys.commitment;
+    }
+    Object.assign(round, { studentPublicKeys: keys.studentPublicKeys, collegePublicKeys: keys.collegePublicKeys });
+  }
+  const permutationSeed = round.permutationSeed ?? generatePermutationSeed();
+  const nonceSeed = round.nonceSeed ?? toHex(randomScalar());
+  const dryRun = values["dry-run"];
+
+  const prepared = await prepareInputs(round, { permutationSeed, nonceSeed });
+  console.log(`Input commitment: ${toHex(prepared.commitment)}`);
+
+  let matchResults;
+  let bundle = null;
+  if (dryRun) {
+    console.log("Executing circuit (dry run, no proof)...");
+    matchResults = await execute(prepared);
+  } else {
+    console.log("Generating proof...");
+    const proof = await prove(prepared);
+    matchResults = decodeMatchResults(circuit.abi, proof.publicInputs);
+    bundle = await createBundle(proof);
+  }
+
+  await mkdir(values.out, { recursive: true });
+  if (bundle) {
+    await writeFile(join(values.out, FILES.bundle), exportBundleBinary(bundle));
+    await writeFile(join(values.out, FILES.bundleJson), exportBundleJson(bundle) + "\n");
+  }
+  await writeJson(join(values.out, FILES.results), matchResults);
+  // Seeds stay with the coordinator, in separate files: the permutation seed
+  // is handed out after the round so participants can decrypt, the nonce seed
+  // never leaves secrets.json
+  await writeJson(join(values.out, FILES.permutation), { permutationSeed }, { mode: 0o600 });
+  await writeJson(join(values.out, FILES.secrets), { nonceSeed }, { mode: 0o600 });
+  await writeJson(join(values.out, FILES.manifest), {
+    createdAt: new Date().toISOString(),
+    circuit: circuitInfo,
+    dryRun,
+    inputCommitment: toHex(prepared.commitment),
+    permutationSeedCommitment: toHex(prepared.permutation.commitment),
+    keySnapshotCommitment: keySnapshot,
+    studentCount: prepared.studentCount,
+    collegeCount: prepared.collegeCount,
+    files: {
+      bundle: bundle ? FILES.bundle : null,
+      bundleJson: bundle ? FILES.bundleJson : null,
+      results: FILES.results,
+      permutation: FILES.permutation,
+      secrets: FILES.secrets
+    }
+  });
+  console.log(`Wrote round to ${values.out}/`);
+  return 0;
+}
+
+async function verifyCommand(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      results: { type: "string", default: "results" },
+      bundle: { type: "string" },
+      commitment: { type: "string" }
+    }
+  });
+  let bundlePath = values.bundle;
+  let commitment = values.commitment;
+  if (bundlePath === undefined) {
+    const manifest = await readJson(join(values.results, FILES.manifest));
+    if (!manifest.files.bundle) {
+      throw new UsageError(`${values.results}/ is a dry run and has no proof to verify`);
+    }
+    bundlePath = join(values.results, manifest.files.bundle);
+    commitment ??= manifest.inputCommitment;
+  }
+
+  const bundle = importBundle(await readFile(bundlePath));
+  const { valid, problems } = await verifyBundle(bundle, { commitment });
+  console.log(`Proof commits to inputs ${toHex(bundle.inputCommitment)}`);
+  if (bundle.merkleRoot !== null) console.log(`Published Merkle root ${toHex(bundle.merkleRoot)}`);
+  problems.forEach(problem => console.log(`  ${problem}`));
+  console.log(valid ? "Proof is valid" : "Proof is INVALID");
+  return valid ? 0 : 1;
+}
+
+async function decryptCommand(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      key: { type: "string" },
+      results: { type: "string", default: "results" },
+      seed: { type: "string" }
+    }
+  });
+  const keyPath = required(values, "key");
+  const key = await readJson(keyPath);
+  const problems = keyFileProblems(key);
+  if (problems.length > 0) throw new UsageError(`${basename(keyPath)}: ${problems.join("; ")}`);
+  const matchResults = await readJson(join(values.results, FILES.results));
+  // Only the permutation seed: decrypting never needs the nonce seed
+  const seed = values.seed ?? (await readJson(join(values.results, FILES.permutation))).permutationSeed;
+  const maps = generatePermutationMaps(seed, N_STUDENT_PREFERENCE, N_COLLEGE_QUOTA);
+
+  if (key.role === "student") {
+    const college = decryptForStudent(matchResults, { maps, studentId: key.id, privateKey: key.privateKey });
+    console.log(JSON.stringify({ student: key.id, college: college === UNMATCHED ? null : college }));
+  } else {
+    const students = decryptForCollege(matchResults, { maps, collegeId: key.id, privateKey: key.privateKey });
+    console.log(JSON.stringify({ college: key.id, students }));
+  }
+  return 0;
+}
+
+// Export the circuit's UltraHonk verifier for contracts/ZkUniRegistry.sol
+async function solidity(args) {
+  const { values } = parseArgs({
+    args,
+    options: { out: { type: "string", default: "HonkVerifier.sol" } }
+  });
+  await writeFile(values.out, await getSolidityVerifier());
+  console.log(`Wrote Solidity verifier to ${values.out}`);
+  return 0;
+}
+
+// Publish the circuit's verification key fingerprint; verifier.html imports
+// the default output at build time. With --check, only make sure the
+// published one belongs to the current circuit.
+async function vk(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      out: { type: "string", default: "circuit/target/vk-fingerprint.json" },
+      check: { type: "boolean", default: false }
+    }
+  });
+  if (values.check) {
+    const problems = publishedFingerprintProblems(await readJson(values.out));
+    problems.forEach(problem => console.log(`  ${problem}`));
+    console.log(problems.length === 0
+      ? `${values.out} is the published fingerprint for circuit ${circuitInfo.hash}`
+      : `${values.out} is INVALID; run zkuni vk with the circuit's proving setup`);
+    return problems.length === 0 ? 0 : 1;
+  }
+  const fingerprint = await verificationKeyFingerprint(await getVerificationKey());
+  await writeJson(values.out, { circuit: circuitInfo, fingerprint });
+  console.log(`Verification key fingerprint ${fingerprint}, written to ${values.out}`);
+  return 0;
+}
+
+// Run the coordinator until interrupted; running proofs finish first
+async function serve(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      data: { type: "string", default: "coordinator" },
+      port: { type: "string", default: "8080" },
+      host: { type: "string", default: "127.0.0.1" }
+    }
+  });
+  const coordinatorToken = process.env.ZKUNI_COORDINATOR_TOKEN;
+  if (!coordinatorToken) throw new UsageError("set ZKUNI_COORDINATOR_TOKEN to the coordinator's bearer token");
+  const port = Number(values.port);
+  if (!Number.isInteger(port) || port < 0) throw new UsageError("--port must be an integer");
+
+  const { url, close } = await serveCoordinator({ dataDir: values.data, coordinatorToken, port, host: values.host });
+  console.log(`Coordinator listening on ${url}, keeping rounds in ${values.data}/`);
+  await new Promise(resolve => {
+    process.once("SIGINT", resolve);
+    process.once("SIGTERM", resolve);
+  });
+  console.log("Shutting down...");
+  await close();
+  return 0;
+}
+
+const revealFileName = keyPath => `${basename(keyPath, ".json")}-reveal.json`;
+
+// A participant's view of a coordinator round: their key file, the round's
+// status, their id in it (found by the key file's name) and an authorised call
+async function joinRound(values, round) {
+  const token = process.env.ZKUNI_TOKEN;
+  if (!token) throw new UsageError("set ZKUNI_TOKEN to the bearer token you got when registering");
+  const keyPath = required(values, "key");
+  const key = await readJson(keyPath);
+  const problems = keyFileProblems(key);
+  if (problems.length > 0) throw new UsageError(`${basename(keyPath)}: ${problems.join("; ")}`);
+
+  const roundUrl = `${required(values, "server").replace(/\/$/, "")}/rounds/${encodeURIComponent(round)}`;
+  const call = async (path, method = "GET", body) => {
+    const response = await fetch(`${roundUrl}${path}`, {
+      method,
+      headers: { authorization: `Bearer ${token}`, ...(body && { "content-type": "application/json" }) },
+      body: body && JSON.stringify(body)
+    });
+    const payload = await response.json();
+    if (!response.ok) throw new Error(`${response.status}: ${(payload.errors ?? [payload.error]).join("; ")}`);
+    return payload;
+  };
+  const status = await call("");
+  const id = status[`${key.role}s`].indexOf(key.name);
+  if (id === -1) throw new Error(`no ${key.role} named ${JSON.stringify(key.name)} in round ${status.round}`);
+  return { key, status, id, call };
+}
+
+// Commit to a ranking in a coordinator round. The ranking and its salt go to
+// a reveal file only the participant can read; losing it means the ranking
+// can't be revealed.
+async function commit(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      server: { type: "string" },
+      round: { type: "string" },
+      key: { type: "string" },
+      preferences: { type: "string" },
+      capacity: { type: "string" },
+      out: { type: "string" }
+    }
+  });
+  const { key, status, id, call } = await joinRound(values, required(values, "round"));
+  const preferences = required(values, "preferences").split(",").map(name => name.trim()).filter(name => name !== "");
+  const capacity = key.role === "college" ? Number(required(values, "capacity")) : undefined;
+  const others = key.role === "student" ? status.colleges : status.students;
+  const unknown = preferences.filter(name => !others.includes(name));
+  if (unknown.length > 0) throw new UsageError(`not registered in round ${status.round}: ${unknown.join(", ")}`);
+
+  const salt = toHex(randomScalar());
+  const commitment = await preferenceCommitment({
+    role: key.role, id, preferences: preferences.map(name => others.indexOf(name)), capacity
+  }, toBigInt(salt));
+  const revealPath = values.out ?? revealFileName(required(values, "key"));
+  await writeJson(revealPath, {
+    round: status.round, role: key.role, id, preferences, ...(capacity !== undefined && { capacity }), salt
+  }, { mode: 0o600 });
+  await call("/commitment", "PUT", { commitment: toHex(commitment) });
+  console.log(`Committed ${key.role} ${id} (${key.name}) to a ranking of ${preferences.length}; keep ${revealPath} to reveal it`);
+  return 0;
+}
+
+// Seal the ranking behind a commitment to the round and sign it with the
+// participant's key
+async function reveal(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      server: { type: "string" },
+      key: { type: "string" },
+      reveal: { type: "string" }
+    }
+  });
+  const revealPath = values.reveal ?? revealFileName(required(values, "key"));
+  const { round, preferences, capacity, salt } = await readJson(revealPath);
+  const { key, status, id, call } = await joinRound(values, round);
+
+  const submission = await sealSubmission({ preferences, capacity, salt }, {
+    round: status.round, role: key.role, id, recipient: status.submissionPublicKey, privateKey: key.privateKey
+  });
+  await call("/reveal", "PUT", submission);
+  console.log(`Revealed a sealed ranking of ${preferences.length} for ${key.role} ${id} (${key.name})`);
+  return 0;
+}
+
+const COMMANDS = { keys, registry, match, verify: verifyCommand, decrypt: decryptCommand, solidity, vk, serve, commit, reveal };
+
+async function main([command, ...args]) {
+  if (!COMMANDS[command]) {
+    console.error(USAGE);
+    return command === "--help" ? 0 : 2;
+  }
+  return COMMANDS[command](args);
+}
+
+// bb.js keeps worker threads alive, so exit explicitly once done
+main(process.argv.slice(2)).then(
+  code => process.exit(code),
+  err => {
+    console.error(err instanceof UsageError ? `${err.message}\n\n${USAGE}` : err.message);
+    process.exit(err instanceof UsageError || err.code === "ERR_PARSE_ARGS_UNKNOWN_OPTION" ? 2 : 1);
+  }
+);
@@ -0,0 +1,56 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+// The verify function of the HonkVerifier that `zkuni solidity` exports
+interface IHonkVerifier {
+    function verify(bytes calldata proof, bytes32[] calldata publicInputs) external view returns (bool);
+}
+
+// Public record of matching rounds. The coordinator publishes each round's
+// matching proof, keyed by the input commitment it is bound to, and it is
+// stored only if the proof verifies. The admission Merkle root published with
+// it is the coordinator's word alone: the proof doesn't cover it, so the
+// registry only timestamps it next to the verified commitment.
+contract ZkUniRegistry {
+    struct Round {
+        bytes32 coordinatorMerkleRoot; // unverified
+        bytes32 inputCommitment;
+        uint64 publishedAt;
+    }
+
+    IHonkVerifier public immutable verifier;
+    address public immutable coordinator;
+    Round[] public rounds;
+    mapping(bytes32 => bool) public published;
+
+    event RoundPublished(uint256 indexed roundId, bytes32 indexed inputCommitment, bytes32 coordinatorMerkleRoot);
+
+    error NotCoordinator();
+    error AlreadyPublished(bytes32 inputCommitment);
+    error InvalidProof();
+
+    constructor(IHonkVerifier _verifier) {
+        verifier = _verifier;
+        coordinator = msg.sender;
+    }
+
+    // publicInputs[0] is the circuit's `committed_inputs`, its only public parameter
+    function publishRound(bytes calldata proof, bytes32[] calldata publicInputs, bytes32 coordinatorMerkleRoot)
+        external
+        returns (uint256 roundId)
+    {
+        if (msg.sender != coordinator) revert NotCoordinator();
+        bytes32 inputCommitment = publicInputs[0];
+        if (published[inputCommitment]) revert AlreadyPublished(inputCommitment);
+        if (!verifier.verify(proof, publicInputs)) revert InvalidProof();
+
+        published[inputCommitment] = true;
+        roundId = rounds.length;
+        rounds.push(Round(coordinatorMerkleRoot, inputCommitment, uint64(block.timestamp)));
+        emit RoundPublished(roundId, inputCommitment, coordinatorMerkleRoot);
+    }
+
+    function roundCount() external view returns (uint256) {
+        return rounds.length;
+    }
+}
@@ -1,29 +1,74 @@
-import { Noir } from "@noir-lang/noir_js";
-import { UltraHonkBackend } from "@aztec/bb.js";
-import circuit from "./circuit/target/circuit.json" assert { type: 'json' };
-import * as secp256k1 from "@noble/secp256k1";
-
-// Log circuit details to help with debugging
-console.log("Circuit loaded:", !!circuit);
-console.log("Circuit bytecode exists:", !!(circuit && circuit.bytecode));
-console.log("Circuit structure keys:", circuit ? Object.keys(circuit) : "circuit is null");
-
-// Constants matching the Noir circuit
-const UNMATCHED = 999;
-const N_STUDENT_PREFERENCE = 5;
-const N_COLLEGE_QUOTA = 5;
-const MAX_PREFS = 5;
-const MAX_COLLEGE_CAPACITY = 3;
-const MERKLE_HEIGHT = 3;
-const TOTAL_ENCRYPTIONS = N_STUDENT_PREFERENCE + (N_COLLEGE_QUOTA * MAX_COLLEGE_CAPACITY);
+import {
+  UNMATCHED,
+  addParticipantKey,
+  auditPermutationMaps,
+  buildMerkleTree,
+  checkStability,
+  compareMatchings,
+  createKeyRegistry,
+  createKeyVault,
+  deriveMatchNonces,
+  keyFileProblems,
+  buildRoster,
+  decryptForCollege,
+  decryptForStudent,
+  exportBundleBinary,
+  exportBundleJson,
+  galeShapley,
+  generateKeyPair,
+  generatePermutationSeed,
+  getMerkleProof,
+  importRoster,
+  matchCommitment,
+  openSubmission,
+  preferenceCommitment,
+  prepareInputs,
+  proveAdmission,
+  publicKeyFingerprint,
+  recoverMatchNonce,
+  sealSubmission,
+  snapshotRegistry,
+  submissionProblems,
+  verifyAdmission
+} from "./src/index.js";
+import { PROVER_STAGES, ProvingCancelledError, proveInWorker } from "./src/prover.js";
+import { collegeName, studentName } from "./src/roster-import.js";
+import { randomScalar } from "./src/elgamal.js";
+import { toBigInt, toHex } from "./src/grumpkin.js";
 
 // Global storage for generated values
 let globalMerkleRoot = null;
+let globalMerkleTree = null;
 let globalMatchCommitments = null;
 let globalStudentMatches = null;
 let globalStudentNonces = null;
 let globalPermutationMaps = null;
 
+// Names behind the numeric ids; never leaves the browser
+let globalDirectory = null;
+
+// Roster loaded through the import panel, used instead of the test data
+let importedRoster = null;
+
+// Participants' private keys, sealed under a passphrase in IndexedDB
+const keyVault = createKeyVault();
+
+// The test data of stable.js, in the importer's JSON format
+const DEFAULT_ROSTER = {
+  students: [
+    { name: "Alice", preferences: ["Harvard", "Yale", "Stanford"] },
+    { name: "Bob", preferences: ["Yale", "Harvard", "Stanford"] },
+    { name: "Charlie", preferences: ["Yale", "Stanford", "Harvard"] },
+    { name: "David", preferences: ["Harvard", "Stanford", "Yale"] },
+    { name: "Eve", preferences: ["Stanford", "Harvard", "Yale"] }
+  ],
+  colleges: [
+    { name: "Harvard", capacity: 3, preferences: ["Bob", "David", "Alice", "Charlie", "Eve"] },
+    { name: "Yale", capacity: 1, preferences: ["Charlie", "Alice", "Eve", "Bob", "David"] },
+    { name: "Stanford", capacity: 1, preferences: ["Alice", "Charlie", "David", "Eve", "Bob"] }
+  ]
+};
+
 // UI Helper Functions
 const show = (id, content) => {
   const container = document.getElementById(id);
@@ -35,175 +80,70 @@ const show = (id, content) => {
   container.appendChild(document.createElement("br"));
 };
 
-const clearLogs = () => {
-  const container = document.getElementById("logs");
-  if (container) container.innerHTML = '';
+// Append a download link for `data` to a container
+const offerDownload = (id, filename, data, type) => {
+  const container = document.getElementById(id);
+  if (!container) return;
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(new Blob([data], { type }));
+  link.download = filename;
+  link.textContent = `Download ${filename}`;
+  container.appendChild(link);
+  container.appendChild(document.createElement("br"));
 };
 
-// Cryptographic Helper Functions
-function hexToBigInt(hexStr) {
-  if (typeof hexStr !== 'string') return BigInt(0);
-  hexStr = hexStr.toLowerCase().trim();
-  return hexStr.startsWith('0x') ? BigInt(hexStr) : BigInt('0x' + hexStr);
-}
+// Round label and passphrase from the key vault panel
+const vaultSettings = () => ({
+  round: document.getElementById("vault-round")?.value.trim() || "demo-round",
+  passphrase: document.getElementById("vault-passphrase")?.value ?? ""
+});
 
-function createPoint(x, y) {
-  try {
-    return new secp256k1.Point(
-      typeof x === 'string' ? hexToBigInt(x) : BigInt(x),
-      typeof y === 'string' ? hexToBigInt(y) : BigInt(y)
-    );
-  } catch (err) {
-    console.error("Error creating point:", err);
-    return secp256k1.Point.fromPrivateKey(BigInt(1)); // Fallback
-  }
+// List the keys stored for the current round in the key vault panel
+async function renderVaultKeys() {
+  const list = document.getElementById("vault-keys");
+  if (!list) return;
+  const { round } = vaultSettings();
+  const keys = await keyVault.listKeys({ round });
+  list.textContent = keys.length === 0
+    ? `No keys stored for round "${round}"`
+    : `Keys stored for round "${round}": ` + keys.map(key => `${key.participant} (${key.role})`).join(", ");
 }
 
-// ElGamal Key Generation
-async function generateElGamalKeyPair() {
-  try {
-    // Generate a secure random private key
-    const privateKeyBytes = new Uint8Array(32);
-    window.crypto.getRandomValues(privateKeyBytes);
-    
-    // Convert to a suitable scalar value
-    const privateKey = secp256k1.utils.bytesToNumberBE(privateKeyBytes);
-    
-    // Generate public key point on the curve
-    const publicKeyPoint = secp256k1.Point.fromPrivateKey(privateKey);
-    
-    // Get x and y coordinates
-    const publicKeyXY = {
-      x: publicKeyPoint.x.toString(),
-      y: publicKeyPoint.y.toString()
-    };
-    
-    // Hash to create a Field value for Noir
-    const publicKeyHash = await hashPublicKey(publicKeyXY);
-    
-    return {
-      privateKey: privateKey,
-      publicKey: publicKeyPoint,
-      publicKeyHash: publicKeyHash
-    };
-  } catch (err) {
-    console.error("Error generating ElGamal key pair:", err);
-    // Fallback to demo key
-    return {
-      privateKey: BigInt("0x1234567890abcdef"),
-      publicKey: secp256k1.Point.fromPrivateKey(BigInt("0x1234567890abcdef")),
-      publicKeyHash: "0x7d1e5f02b0cdc7e10cff917625b4e7ee"
-    };
-  }
-}
+const clearLogs = () => {
+  const container = document.getElementById("logs");
+  if (container) container.innerHTML = '';
+};
 
-// Hash a public key to produce a Field element for Noir
-async function hashPublicKey(publicKeyXY) {
-  try {
-    // Convert to JSON string
-    const encoder = new TextEncoder();
-    const publicKeyBytes = encoder.encode(JSON.stringify(publicKeyXY));
-    
-    // Hash using SHA-256
-    const publicKeyHash = await window.crypto.subtle.digest("SHA-256", publicKeyBytes);
-    
-    // Take first 16 bytes to fit in Noir Field
-    const hashArray = Array.from(new Uint8Array(publicKeyHash)).slice(0, 16);
-    const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-    
-    return '0x' + hashHex;
-  } catch (err) {
-    console.error("Error hashing public key:", err);
-    return "0x7d1e5f02b0cdc7e10cff917625b4e7ee"; // Fallback
-  }
+// ElGamal Key Generation (Grumpkin, the curve the circuit encrypts on)
+async function generateElGamalKeyPair() {
+  const { privateKey, publicKey } = generateKeyPair();
+  
+  // Canonical fingerprint, as listed in the key registry
+  const fingerprint = toHex(await publicKeyFingerprint(publicKey));
+  
+  return {
+    privateKey: privateKey,
+    publicKey: publicKey,
+    fingerprint: fingerprint
+  };
 }
 
-// ElGamal decryption function
-async function decryptElGamal(ciphertext, privateKey) {
-  if (!ciphertext || !ciphertext.c1 || !ciphertext.c2) {
-    console.error("Invalid ciphertext structure:", ciphertext);
-    return UNMATCHED;
-  }
-  
-  try {
-    // Skip decryption for infinity points
-    if (ciphertext.c1.is_infinity || ciphertext.c2.is_infinity) {
-      return UNMATCHED;
-    }
-    
-    // Extract curve points
-    const c1 = createPoint(ciphertext.c1.x, ciphertext.c1.y);
-    const c2 = createPoint(ciphertext.c2.x, ciphertext.c2.y);
-    
-    // Compute shared secret: s = privateKey * c1
-    const sharedSecret = c1.multiply(privateKey);
-    
-    // Compute plaintext point: m = c2 - s
-    const negSharedSecret = sharedSecret.negate();
-    const plainPoint = c2.add(negSharedSecret);
-    
-    // Solve discrete log to recover message
-    for (let i = 0; i < 1000; i++) {
-      const testPoint = secp256k1.Point.BASE.multiply(BigInt(i));
-      if (testPoint.x === plainPoint.x && testPoint.y === plainPoint.y) {
-        return i;
-      }
-    }
-    
-    return UNMATCHED;
-  } catch (err) {
-    console.error("ElGamal decryption error:", err);
-    return UNMATCHED;
-  }
+// Build the Merkle tree over the current match commitments
+async function buildMatchTree() {
+  globalMerkleTree = await buildMerkleTree(globalMatchCommitments);
+  globalMerkleRoot = globalMerkleTree.root;
 }
 
 // Generate a Merkle proof for a student match
 async function generateMerkleProof(studentId) {
-  if (!globalMatchCommitments) {
+  if (!globalMerkleTree) {
     show("logs", "Error: Match commitments not available. Run the matching process first.");
     return null;
   }
   
   try {
-    console.log("Attempting to generate Merkle proof for student:", studentId);
-    console.log("Using match commitments:", globalMatchCommitments);
-    console.log("Merkle root:", globalMerkleRoot);
-    
-    // Initialize Noir and backend for proof operation
-    const noir = new Noir(circuit);
-    console.log("Noir initialized");
-    
-    const backend = new UltraHonkBackend(circuit.bytecode);
-    console.log("Backend initialized");
-    
-    // Generate inputs for proof generation (operation = 2 for generating a proof)
-    const input = {
-      operation: 2, // Generate proof
-      input_data: globalMatchCommitments,
-      proof_data: Array(MERKLE_HEIGHT).fill(0),
-      root: globalMerkleRoot,
-      leaf: globalMatchCommitments[studentId],
-      index: studentId
-    };
-    
-    console.log("Executing circuit with input:", input);
-    
-    // Execute circuit to generate the proof
-    const { witness } = await noir.execute(input);
-    console.log("Witness generated:", witness ? "Success" : "Failed");
-    
-    const proof = await backend.generateProof(witness);
-    console.log("Proof generated:", proof);
-    
-    // Extract the proof from the result
-    let merkleProof = Array(MERKLE_HEIGHT).fill(0);
-    if (proof && proof.publicInputs && proof.publicInputs.return) {
-      merkleProof = proof.publicInputs.return;
-      console.log("Extracted merkle proof:", merkleProof);
-    } else {
-      console.warn("Could not extract proof from result");
-    }
-    
+    const merkleProof = getMerkleProof(globalMerkleTree, studentId);
+    console.log("Generated Merkle proof for student:", studentId, merkleProof);
     return merkleProof;
   } catch (err) {
     console.error("Error generating Merkle proof:", err);
@@ -212,317 +152,91 @@ async function generateMerkleProof(studentId) {
   }
 }
 
-// Verify a student's match using the Merkle proof
-async function verifyStudentMatch(studentId, collegeId, nonce, merkleProof) {
-  if (!globalMerkleRoot) {
-    show("logs", "Error: Merkle root not available. Run the matching process first.");
-    return false;
-  }
-  
-  try {
-    console.log("Verifying match for student:", studentId, "with college:", collegeId);
-    console.log("Using nonce:", nonce, "and proof:", merkleProof);
-    
-    // Generate the commitment hash (same algorithm as in Noir)
-    const commitment = await generateCommitmentHash(studentId, collegeId, nonce);
-    console.log("Generated commitment hash:", commitment);
-    
-    // Initialize Noir and backend for verification
-    const noir = new Noir(circuit);
-    const backend = new UltraHonkBackend(circuit.bytecode);
-    
-    // Prepare inputs for verification (operation = 1 for verification)
-    const input = {
-      operation: 1, // Verify proof
-      input_data: Array(10).fill(0), // Not used for verification
-      proof_data: merkleProof,
-      root: globalMerkleRoot,
-      leaf: commitment,
-      index: studentId
-    };
-    
-    console.log("Executing verification with input:", input);
-    
-    // Execute circuit for verification
-    const { witness } = await noir.execute(input);
-    const proof = await backend.generateProof(witness);
-    
-    console.log("Verification proof result:", proof);
-    
-    // Extract verification result
-    let isValid = false;
-    if (proof && proof.publicInputs && proof.publicInputs.return) {
-      isValid = proof.publicInputs.return === 1n || proof.publicInputs.return === 1;
-      console.log("Extracted verification result:", isValid);
-    }
-    
-    return isValid;
-  } catch (err) {
-    console.error("Error verifying match:", err);
-    show("logs", `Error verifying match: ${err.message}`);
-    return false;
-  }
-}
-
 // Helper to generate a commitment hash for a student-college match
+// (pedersen_hash([student, college, nonce]), identical to the Noir side)
 async function generateCommitmentHash(studentId, collegeId, nonce) {
-  // This should use the same algorithm as in the Noir circuit
-  // For simplicity, we'll use a browser-based hash for now
-  const data = new TextEncoder().encode(`${studentId}-${collegeId}-${nonce}`);
-  const hashBuffer = await window.crypto.subtle.digest('SHA-256', data);
-  const hashArray = Array.from(new Uint8Array(hashBuffer));
-  const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-  
-  // Convert to a BigInt that fits in a Noir field
-  return BigInt('0x' + hashHex.substring(0, 16));
+  return matchCommitment(studentId, collegeId, nonce);
 }
 
-// Generate permutation maps for students and colleges
-function generatePermutationMaps(seed, studentCount, collegeCount) {
-  // Helper to create a deterministic "random" number from a seed and index
-  const pseudoRandom = (seed, i) => {
-    return BigInt((Number(seed) * 1103515245 + 12345 + i) % 2147483647);
-  };
-  
-  // Initialize arrays with sequential IDs
-  const studentIdMap = Array(N_STUDENT_PREFERENCE).fill().map((_, i) => i);
-  const collegeIdMap = Array(N_COLLEGE_QUOTA).fill().map((_, i) => i);
-  
-  // Fisher-Yates shuffle for students
-  for (let i = 0; i < studentCount; i++) {
-    const randomVal = pseudoRandom(seed, i);
-    const j = Number(randomVal % BigInt(i + 1));
-    [studentIdMap[i], studentIdMap[j]] = [studentIdMap[j], studentIdMap[i]]; // Swap
-  }
-  
-  // Fisher-Yates shuffle for colleges
-  for (let i = 0; i < collegeCount; i++) {
-    const randomVal = pseudoRandom(seed, i + 1000);
-    const j = Number(randomVal % BigInt(i + 1));
-    [collegeIdMap[i], collegeIdMap[j]] = [collegeIdMap[j], collegeIdMap[i]]; // Swap
-  }
-  
-  return { studentIdMap, collegeIdMap };
+// A participant's public key from the vault: provisioned keys loaded in the
+// key vault panel, or a fresh key sealed under the passphrase the first time
+// the participant joins a round
+async function participantPublicKey(label, passphrase) {
+  const stored = await keyVault.findKey(label);
+  if (stored) return stored.publicKey;
+  return (await keyVault.addKey(label, generateKeyPair().privateKey, passphrase)).publicKey;
 }
 
-// Apply permutation to preferences
-function applyPermutation(studentPrefs, collegePrefs, maps, studentCount, collegeCount) {
-  const { studentIdMap, collegeIdMap } = maps;
-  
-  // Create new arrays to hold permuted preferences
-  const permutedStudentPrefs = Array(N_STUDENT_PREFERENCE).fill().map(() => 
-    Array(MAX_PREFS).fill(UNMATCHED));
-  
-  const permutedCollegePrefs = Array(N_COLLEGE_QUOTA).fill().map(() => 
-    Array(N_STUDENT_PREFERENCE).fill(UNMATCHED));
-  
-  // Map student preferences
-  for (let i = 0; i < studentCount; i++) {
-    const permutedI = studentIdMap[i];
-    for (let j = 0; j < MAX_PREFS; j++) {
-      if (studentPrefs[i][j] !== UNMATCHED) {
-        const originalCollegeId = studentPrefs[i][j];
-        if (originalCollegeId < collegeCount) {
-          permutedStudentPrefs[permutedI][j] = collegeIdMap[originalCollegeId];
-        }
-      }
+// Helper function to set up test data
+async function setupTestData({ round, passphrase }) {
+  // Named roster from the import panel, or the stable.js test data
+  const { roster, directory } = importedRoster ?? importRoster(DEFAULT_ROSTER);
+  
+  // The coordinator's key for this run; rankings are sealed to it
+  const coordinatorKey = generateKeyPair();
+  
+  // Each participant's client first commits to its ranking with a fresh salt,
+  // then reveals it by name, sealed and signed. Private keys stay in the key
+  // vault; only public keys, commitments and sealed reveals come back.
+  const names = (ids, list) => ids.filter(id => id !== UNMATCHED).map(id => list[id]);
+  const rankings = {
+    student: roster.studentPrefs.map(prefs => ({ preferences: names(prefs, directory.colleges) })),
+    college: roster.collegePrefs.map((prefs, i) =>
+      ({ preferences: names(prefs, directory.students), capacity: roster.collegeCapacities[i] }))
+  };
+  const prefs = { student: roster.studentPrefs, college: roster.collegePrefs };
+  const publicKeys = { student: [], college: [] };
+  const commitments = { student: [], college: [] };
+  const submissions = { student: [], college: [] };
+  for (const role of ["student", "college"]) {
+    for (const [id, participant] of directory[`${role}s`].entries()) {
+      const label = { round, role, participant };
+      publicKeys[role].push(await participantPublicKey(label, passphrase));
+      const salt = randomScalar();
+      const { capacity } = rankings[role][id];
+      commitments[role].push(await preferenceCommitment({ role, id, preferences: prefs[role][id], capacity }, salt));
+      submissions[role].push(await sealSubmission({ ...rankings[role][id], salt: toHex(salt) }, {
+        round, role, id, recipient: coordinatorKey.publicKey, privateKey: await keyVault.unlockKey(label, passphrase)
+      }));
     }
   }
   
-  // Map college preferences
-  for (let i = 0; i < collegeCount; i++) {
-    const permutedI = collegeIdMap[i];
-    for (let j = 0; j < N_STUDENT_PREFERENCE; j++) {
-      if (collegePrefs[i][j] !== UNMATCHED) {
-        const originalStudentId = collegePrefs[i][j];
-        if (originalStudentId < studentCount) {
-          permutedCollegePrefs[permutedI][j] = studentIdMap[originalStudentId];
-        }
-      }
-    }
-  }
+  // Secret permutation seed, fresh for every run
+  const permutationSeed = generatePermutationSeed();
   
-  return { permutedStudentPrefs, permutedCollegePrefs };
+  return {
+    commitments,
+    submissions,
+    coordinatorKey,
+    publicKeys,
+    directory,
+    permutationSeed
+  };
 }
 
-// Permute public keys according to the permutation maps
-function permuteKeys(studentKeys, collegeKeys, maps, studentCount, collegeCount) {
-  const { studentIdMap, collegeIdMap } = maps;
-  
-  // Create new arrays for the permuted keys
-  const permutedStudentKeys = Array(N_STUDENT_PREFERENCE).fill().map(() => ({
-    x: 0, y: 0, is_infinite: true
-  }));
-  
-  const permutedCollegeKeys = Array(N_COLLEGE_QUOTA).fill().map(() => ({
-    x: 0, y: 0, is_infinite: true
+// Coordinator side of the proving step: open every sealed reveal (checking
+// its signature and that it matches the participant's commitment) into the
+// roster the circuit runs on, with the salts the circuit recomputes the
+// commitments from
+async function openSubmissions({ commitments, submissions, coordinatorKey, publicKeys, directory }) {
+  const salts = { student: [], college: [] };
+  const open = role => Promise.all(submissions[role].map(async (submission, id) => {
+    const { salt, ...ranking } = await openSubmission(submission,
+      { privateKey: coordinatorKey.privateKey, publicKey: publicKeys[role][id] });
+    const others = directory[role === "student" ? "colleges" : "students"];
+    const preferences = ranking.preferences.map(name => others.indexOf(name));
+    const revealed = await preferenceCommitment({ role, id, preferences, capacity: ranking.capacity }, toBigInt(salt));
+    if (revealed !== commitments[role][id]) throw new Error(`${role} ${id}: reveal does not match its commitment`);
+    salts[role][id] = toBigInt(salt);
+    return { name: directory[`${role}s`][id], ...ranking };
   }));
-  
-  // Map student keys
-  for (let i = 0; i < studentCount; i++) {
-    const permutedI = studentIdMap[i];
-    permutedStudentKeys[permutedI] = studentKeys[i];
-  }
-  
-  // Map college keys
-  for (let i = 0; i < collegeCount; i++) {
-    const permutedI = collegeIdMap[i];
-    permutedCollegeKeys[permutedI] = collegeKeys[i];
-  }
-  
-  return { permutedStudentKeys, permutedCollegeKeys };
-}
-
-// Reverse the permutation after decryption
-function reversePermutation(permutedMatches, maps, studentCount) {
-  const { studentIdMap, collegeIdMap } = maps;
-  
-  // Create inverse maps
-  const inverseStudentMap = Array(N_STUDENT_PREFERENCE).fill(0);
-  const inverseCollegeMap = Array(N_COLLEGE_QUOTA).fill(0);
-  
-  for (let i = 0; i < studentCount; i++) {
-    inverseStudentMap[studentIdMap[i]] = i;
-  }
-  
-  for (let i = 0; i < collegeIdMap.length; i++) {
-    inverseCollegeMap[collegeIdMap[i]] = i;
-  }
-  
-  // Apply reverse mapping
-  const originalMatches = Array(N_STUDENT_PREFERENCE).fill(UNMATCHED);
-  
-  for (let i = 0; i < studentCount; i++) {
-    const permutedI = studentIdMap[i];
-    const permutedMatch = permutedMatches[permutedI];
-    
-    if (permutedMatch !== UNMATCHED) {
-      originalMatches[i] = inverseCollegeMap[permutedMatch];
-    }
-  }
-  
-  return originalMatches;
-}
-
-// Extract encrypted matches from proof with robust error handling
-function extractEncryptedMatches(proof) {
-  console.log("Extracting encrypted matches from proof:", proof);
-  
-  // Try various proof structures that might be returned
-  let encryptedMatches = [];
-  
-  if (proof && proof.publicInputs && proof.publicInputs.return) {
-    encryptedMatches = proof.publicInputs.return;
-    console.log("Found matches in proof.publicInputs.return");
-  } else if (proof && proof.public_inputs && proof.public_inputs.return) {
-    encryptedMatches = proof.public_inputs.return;
-    console.log("Found matches in proof.public_inputs.return");
-  } else if (proof && Array.isArray(proof.publicInputs)) {
-    encryptedMatches = proof.publicInputs;
-    console.log("Found matches in proof.publicInputs array");
-  } else if (proof && Array.isArray(proof.public_inputs)) {
-    encryptedMatches = proof.public_inputs;
-    console.log("Found matches in proof.public_inputs array");
-  } else if (Array.isArray(proof)) {
-    encryptedMatches = proof;
-    console.log("Found matches in proof array");
-  } else {
-    // Fallback to demo data
-    console.warn("Could not extract encrypted matches from proof. Using demo data.");
-    show("logs", "⚠️ Could not extract encrypted matches from proof. Using demo data.");
-    encryptedMatches = Array(TOTAL_ENCRYPTIONS).fill().map(() => ({
-      c1: { x: "0x1", y: "0x2", is_infinity: false },
-      c2: { x: "0x3", y: "0x4", is_infinity: false }
-    }));
-  }
-  
-  return encryptedMatches;
-}
-
-// Decrypt student matches
-async function decryptStudentMatches(encryptedStudentMatches, privateKeys, permutationMap) {
-  const decryptedMatches = Array(N_STUDENT_PREFERENCE).fill(UNMATCHED);
-  
-  for (let i = 0; i < encryptedStudentMatches.length; i++) {
-    const originalStudentId = permutationMap.indexOf(i);
-    if (originalStudentId !== -1) {
-      try {
-        const match = await decryptElGamal(
-          encryptedStudentMatches[i], 
-          privateKeys[originalStudentId]
-        );
-        
-        // Subtract 1 to get the original college ID (matches the Noir adjustment)
-        decryptedMatches[i] = match === UNMATCHED ? UNMATCHED : match - 1;
-      } catch (err) {
-        console.error(`Error decrypting match for student ${i}:`, err);
-      }
-    }
-  }
-  
-  return decryptedMatches;
-}
-
-// Helper function to set up test data
-async function setupTestData() {
-  // Student preferences
-  const studentPrefs = [
-    [0, 1, 2, UNMATCHED, UNMATCHED], 
-    [1, 0, 2, UNMATCHED, UNMATCHED], 
-    [1, 2, 0, UNMATCHED, UNMATCHED], 
-    [0, 2, 1, UNMATCHED, UNMATCHED], 
-    [2, 0, 1, UNMATCHED, UNMATCHED],
-  ];
-  
-  // College preferences
-  const collegePrefs = [
-    [1, 3, 0, 2, 4],   
-    [2, 0, 4, 1, 3],   
-    [0, 2, 3, 4, 1],   
-    [UNMATCHED, UNMATCHED, UNMATCHED, UNMATCHED, UNMATCHED], 
-    [UNMATCHED, UNMATCHED, UNMATCHED, UNMATCHED, UNMATCHED],
-  ];
-  
-  // College capacities
-  const collegeCapacities = [3, 1, 1, 0, 0];
-  
-  // Public keys (formatted for Noir's EmbeddedCurvePoint)
-  const studentPublicKeys = [
-    { x: "0x7d1e5f02b0cdc7e10cff917625b4e7ee", y: "0x1", is_infinity: false },
-    { x: "0x83a1eff0b6627a69b41c5de7b0aeb8e3", y: "0x2", is_infinity: false },
-    { x: "0x9c4d8bfd9d4def4eeb1615aa53a32e30", y: "0x3", is_infinity: false },
-    { x: "0xa0b3576ee834936135b547beba820d6f", y: "0x4", is_infinity: false },
-    { x: "0xb4f0c6f7d89513c2055c54bd463a5275", y: "0x5", is_infinity: false }
-  ];
-  
-  const collegePublicKeys = [
-    { x: "0xc78e07db0ad00f15ebde45d9afd043e4", y: "0x6", is_infinity: false },
-    { x: "0xd391cafa15d22c96a28afa0375ea8db7", y: "0x7", is_infinity: false },
-    { x: "0xe2e3aa9a63b2b855d7c81c9f60e9c411", y: "0x8", is_infinity: false },
-    { x: "0xf4b8dff2bb2a889432d097b3fb781c54", y: "0x9", is_infinity: false },
-    { x: "0x052968bd5e7e3d743d45cb45e7ca1bf7", y: "0xa", is_infinity: false }
-  ];
-  
-  // Private keys (in a real system, these would be securely stored)
-  const studentPrivateKeys = [1, 2, 3, 4, 5].map(key => BigInt(key));
-  const collegePrivateKeys = [6, 7, 8, 9, 10].map(key => BigInt(key));
-  
-  // Seeds for nonce and permutation
-  const nonceSeed = 0x12345678;
-  const permutationSeed = 0x87654321;
-  
+  const { roster } = buildRoster({ students: await open("student"), colleges: await open("college") });
   return {
-    studentPrefs,
-    collegePrefs,
-    collegeCapacities,
-    studentPublicKeys,
-    collegePublicKeys,
-    studentPrivateKeys,
-    collegePrivateKeys,
-    actualStudentList: 5,
-    actualUniList: 3,
-    nonceSeed,
-    permutationSeed
+    ...roster,
+    studentSalts: salts.student,
+    collegeSalts: salts.college,
+    studentPublicKeys: publicKeys.student,
+    collegePublicKeys: publicKeys.college
   };
 }
 
@@ -543,11 +257,15 @@ function createVerificationUI() {
     <div class="form-group">
       <label for="student-id">Student ID:</label>
       <select id="student-id">
-        ${Array(N_STUDENT_PREFERENCE).fill().map((_, i) => 
-          `<option value="${i}">${i}</option>`).join('')}
+        ${globalStudentMatches.map((_, i) => 
+          `<option value="${i}">${studentName(globalDirectory, i)}</option>`).join('')}
       </select>
     </div>
     
+    <div class="form-group">
+      <label><input type="checkbox" id="reveal-college" checked style="width: auto;"> Reveal my college</label>
+    </div>
+    
     <button id="generate-proof-btn">Generate Proof</button>
     <button id="verify-match-btn" disabled>Verify Match</button>
     
@@ -556,9 +274,13 @@ function createVerificationUI() {
   
   document.body.appendChild(verifyContainer);
   
+  // The most recent admission proof, handed to the verifier as-is
+  let admissionProof = null;
+  
   // Add event listeners
   document.getElementById('generate-proof-btn').addEventListener('click', async () => {
     const studentId = parseInt(document.getElementById('student-id').value);
+    const revealCollege = document.getElementById('reveal-college').checked;
     console.log("Generate proof button clicked for student:", studentId);
     
     if (!globalStudentMatches || !globalStudentNonces) {
@@ -567,30 +289,40 @@ function createVerificationUI() {
       return;
     }
     
+    const collegeId = globalStudentMatches[studentId];
+    if (collegeId === UNMATCHED) {
+      document.getElementById('verification-result').innerHTML = 
+        `❌ ${studentName(globalDirectory, studentId)} is unmatched, there is no admission to prove`;
+      return;
+    }
+    
     document.getElementById('verification-result').innerHTML = "Generating proof...";
     
     try {
-      // Get the proof for this student
-      const proof = await generateMerkleProof(studentId);
+      // Get the Merkle path for this student
+      const merkleProof = await generateMerkleProof(studentId);
       
-      if (!proof) {
+      if (!merkleProof) {
         document.getElementById('verification-result').innerHTML = 
           "❌ Error generating proof. See console for details.";
         return;
       }
       
-      // Store values in data attributes for verification
-      const verifyBtn = document.getElementById('verify-match-btn');
-      verifyBtn.dataset.studentId = studentId;
-      verifyBtn.dataset.collegeId = globalStudentMatches[studentId];
-      verifyBtn.dataset.nonce = globalStudentNonces[studentId];
-      verifyBtn.dataset.proof = JSON.stringify(proof);
-      verifyBtn.disabled = false;
+      // Prove membership of the student's commitment in zero knowledge
+      admissionProof = await proveAdmission({
+        root: globalMerkleRoot,
+        studentId,
+        collegeId,
+        nonce: globalStudentNonces[studentId],
+        merkleProof,
+        revealCollege
+      });
+      console.log("Admission proof generated:", admissionProof);
       
+      document.getElementById('verify-match-btn').disabled = false;
       document.getElementById('verification-result').innerHTML = 
-        `✅ Proof generated for Student ${studentId}<br>` +
-        `Matched with College: ${globalStudentMatches[studentId] === UNMATCHED ? 'Unmatched' : globalStudentMatches[studentId]}<br>` +
-        `Proof data: [${proof.slice(0, 2).join(', ')}...]`;
+        `✅ Proof generated for ${studentName(globalDirectory, studentId)}<br>` +
+        `Discloses: ${revealCollege ? collegeName(globalDirectory, collegeId) : 'nothing beyond admission'}`;
     } catch (err) {
       console.error("Error in generate proof handler:", err);
       document.getElementById('verification-result').innerHTML = 
@@ -600,21 +332,15 @@ function createVerificationUI() {
   
   document.getElementById('verify-match-btn').addEventListener('click', async () => {
     try {
-      const verifyBtn = document.getElementById('verify-match-btn');
-      const studentId = parseInt(verifyBtn.dataset.studentId);
-      const collegeId = parseInt(verifyBtn.dataset.collegeId);
-      const nonce = parseInt(verifyBtn.dataset.nonce);
-      const proof = JSON.parse(verifyBtn.dataset.proof);
-      
-      console.log("Verify button clicked with data:", { studentId, collegeId, nonce });
-      
       document.getElementById('verification-result').innerHTML = "Verifying proof...";
       
-      const isValid = await verifyStudentMatch(studentId, collegeId, nonce, proof);
+      const { valid, revealedCollege } = await verifyAdmission(admissionProof, { root: globalMerkleRoot });
       
-      if (isValid) {
+      if (valid) {
         document.getElementById('verification-result').innerHTML = 
-          `✅ VERIFIED: Student ${studentId} is matched with College ${collegeId === UNMATCHED ? 'Unmatched' : collegeId}`;
+          `✅ VERIFIED: the prover holds a match under the coordinator's published root` +
+          (revealedCollege === null ? '' : ` (${collegeName(globalDirectory, revealedCollege)})`) +
+          `. The matching proof does not cover this root, so this relies on the coordinator having built it honestly.`;
       } else {
         document.getElementById('verification-result').innerHTML = 
           `❌ INVALID: Proof verification failed`;
@@ -628,6 +354,43 @@ function createVerificationUI() {
 }
 
 // Main processing function
+let proofController = null;
+
+const STAGE_LABELS = { witness: "Solving the circuit witness", proof: "Generating zero-knowledge proof", verify: "Verifying proof of fair matching" };
+
+// Prove in the worker, reporting each stage in the logs and the progress bar.
+// The cancel button is live until the worker finishes.
+async function proveWithProgress(prepared) {
+  const progress = document.getElementById("proof-progress");
+  const cancelButton = document.getElementById("cancel-proof-btn");
+  proofController = new AbortController();
+  progress.value = 0;
+  progress.max = PROVER_STAGES.length;
+  progress.hidden = false;
+  cancelButton.disabled = false;
+  try {
+    return await proveInWorker(prepared, {
+      signal: proofController.signal,
+      onProgress: ({ stage, done, elapsedMs, threads }) => {
+        if (stage === "ready") {
+          show("logs", threads > 1
+            ? `Prover worker started with ${threads} threads (cross-origin isolated)`
+            : "Prover worker started single-threaded (page is not cross-origin isolated)");
+        } else if (done) {
+          progress.value = PROVER_STAGES.indexOf(stage) + 1;
+          show("logs", `${STAGE_LABELS[stage]} ✅ (${(elapsedMs / 1000).toFixed(1)}s)`);
+        } else {
+          show("logs", `${STAGE_LABELS[stage]}...`);
+        }
+      }
+    });
+  } finally {
+    proofController = null;
+    cancelButton.disabled = true;
+    progress.hidden = true;
+  }
+}
+
 async function processMatchingWithZKP() {
   console.log("Starting processMatchingWithZKP function");
   clearLogs();
@@ -635,177 +398,160 @@ async function processMatchingWithZKP() {
   show("logs", "-----------------------------------------------------------");
   
   try {
-    // Check if circuit is properly loaded
-    if (!circuit || !circuit.bytecode) {
-      throw new Error("Circuit not properly loaded. Please check your compilation.");
+    // Keys are sealed in the vault under this passphrase and unlocked to decrypt
+    const { round, passphrase } = vaultSettings();
+    if (passphrase === "") {
+      show("logs", "❌ Enter a key vault passphrase first");
+      return;
     }
     
-    // Install the dependencies
-    show("logs", "⚙️ Required dependencies:");
-    show("logs", "npm install @noble/secp256k1 @noir-lang/noir_js @aztec/bb.js");
-    
     // Test data setup
     show("logs", "Setting up test data...");
-    const { 
-      studentPrefs, 
-      collegePrefs, 
-      collegeCapacities, 
-      studentPublicKeys, 
-      collegePublicKeys,
-      studentPrivateKeys,
-      collegePrivateKeys,
-      actualStudentList,
-      actualUniList,
-      nonceSeed,
-      permutationSeed
-    } = await setupTestData();
+    // Sealing unlocks every key, so a wrong passphrase shows up here
+    const setup = await setupTestData({ round, passphrase });
+    const { submissions, publicKeys, directory, permutationSeed } = setup;
+    await renderVaultKeys();
+    // Commit to the keys the circuit will encrypt to, before the run
+    let keyRegistry = createKeyRegistry();
+    for (const role of ["student", "college"]) {
+      for (const [id, name] of directory[`${role}s`].entries()) {
+        keyRegistry = await addParticipantKey(keyRegistry, { role, id }, publicKeys[role][id], { name });
+      }
+    }
+    const keySnapshot = await snapshotRegistry(keyRegistry, { round });
+    show("logs", `Key registry snapshot commitment (publish before the run): ${keySnapshot.commitment}`);
+    
+    // The coordinator checks who sent each sealed ranking without opening it
+    for (const role of ["student", "college"]) {
+      for (const [id, submission] of submissions[role].entries()) {
+        const problems = await submissionProblems(submission,
+          { publicKey: publicKeys[role][id], round, role, id, recipient: setup.coordinatorKey.publicKey });
+        if (problems.length > 0) throw new Error(`${role} ${id}: ${problems.join("; ")}`);
+      }
+    }
+    const studentCount = directory.students.length;
+    globalDirectory = directory;
     
-    show("logs", "Test data and ElGamal keys loaded ✅");
+    show("logs", `${importedRoster ? "Imported roster" : "Test data"}: ${studentCount} students and ` +
+      `${directory.colleges.length} colleges committed to their rankings, then revealed them sealed and signed ` +
+      `for round "${round}" ✅`);
     
-    // Step 1: Generate permutation maps
-    show("logs", "1. STEP: Generating permutation maps for privacy...");
-    globalPermutationMaps = generatePermutationMaps(
-      permutationSeed, 
-      actualStudentList, 
-      actualUniList
-    );
+    // Reveals are only opened inside the proving step
+    show("logs", "Opening sealed reveals against their commitments for proving...");
+    const roster = await openSubmissions(setup);
     
-    show("logs", "Student permutation map: " + JSON.stringify(globalPermutationMaps.studentIdMap));
-    show("logs", "College permutation map: " + JSON.stringify(globalPermutationMaps.collegeIdMap));
+    // Fast plaintext preview; the decrypted circuit output must match it
+    const reference = galeShapley(roster);
+    show("logs", "Preview (reference Gale–Shapley, not proven): " + reference.student_matches
+      .map((collegeId, i) => `${studentName(directory, i)} → ${collegeName(directory, collegeId)}`).join(", "));
     
-    // Step 2: Apply permutation to preferences and keys
+    // Steps 1-3: permute the roster into circuit slots and commit to it
+    show("logs", "1. STEP: Generating permutation maps for privacy...");
     show("logs", "2. STEP: Applying permutation to preferences and keys...");
-    const { permutedStudentPrefs, permutedCollegePrefs } = applyPermutation(
-      studentPrefs, 
-      collegePrefs, 
-      globalPermutationMaps, 
-      actualStudentList, 
-      actualUniList
-    );
-    
-    const { permutedStudentKeys, permutedCollegeKeys } = permuteKeys(
-      studentPublicKeys,
-      collegePublicKeys,
-      globalPermutationMaps,
-      actualStudentList,
-      actualUniList
-    );
-    
-    // Step 3: Create commitment
     show("logs", "3. STEP: Creating commitment for permuted data...");
-    // This would hash all the permuted inputs in a real implementation
-    const permutedCommitment = 42; // Placeholder
+    // The encryption nonce seed is left to prepareInputs, which draws it from
+    // the CSPRNG: anyone who knows it can decrypt every match
+    const prepared = await prepareInputs(roster, { permutationSeed });
+    globalPermutationMaps = prepared.permutation.maps;
+    
+    show("logs", `Permutation seed commitment (publish before the run): ${toHex(prepared.permutation.commitment)}`);
+    show("logs", "Student permutation map: " + JSON.stringify(globalPermutationMaps.studentIdMap));
+    show("logs", "College permutation map: " + JSON.stringify(globalPermutationMaps.collegeIdMap));
+    show("logs", `Preferences root (over every participant's commitment): ${toHex(prepared.preferencesRoot)}`);
+    show("logs", `Inputs digest: ${toHex(prepared.inputsDigest)}`);
+    show("logs", `Input commitment (public input of the proof): ${toHex(prepared.commitment)}`);
     
     // Step 4: Run matching in zero-knowledge circuit
     show("logs", "4. STEP: Running the matching algorithm in zero-knowledge...");
     
     try {
-      console.log("Initializing Noir...");
-      const noir = new Noir(circuit);
-      console.log("Noir initialized successfully");
-      
-      console.log("Initializing backend...");
-      const backend = new UltraHonkBackend(circuit.bytecode);
-      console.log("Backend initialized successfully");
-      
-      // Circuit input for the matching operation
-      const input = { 
-        operation: 0, // Run matching
-        permuted_student_prefs: permutedStudentPrefs,
-        permuted_college_prefs: permutedCollegePrefs,
-        college_capacities: collegeCapacities,
-        permuted_student_public_keys: permutedStudentKeys,
-        permuted_college_public_keys: permutedCollegeKeys,
-        actual_student_list: actualStudentList,
-        actual_uni_list: actualUniList,
-        nonce_seed: nonceSeed,
-        committed_inputs: permutedCommitment,
-        // These are unused for operation 0
-        proof_root: 0,
-        proof_leaf: 0,
-        proof_index: 0,
-        proof_data: Array(MERKLE_HEIGHT).fill(0)
-      };
-      
-      console.log("Executing circuit with input:", {...input, permuted_student_prefs: "...", permuted_college_prefs: "..."});
-      
-      // Execute circuit
-      show("logs", "Executing circuit...");
-      const { witness } = await noir.execute(input);
-      console.log("Witness generated:", witness ? "Success" : "Failed");
-      
-      // Generate proof
-      show("logs", "Generating zero-knowledge proof...");
-      const proof = await backend.generateProof(witness);
+      // The witness, proof and verification (pinned to the published
+      // commitment) run in a Web Worker, so the page stays responsive and
+      // the proof can be cancelled
+      const { proof, bundle, valid, problems, matchResults } = await proveWithProgress(prepared);
       console.log("Proof generated:", proof);
-      show("logs", "Proof generated ✅");
+      show("logs", `Proof ${valid ? "✅ VALID" : `❌ INVALID: ${problems.join("; ")}`}`);
       
-      // Extract Merkle root from the proof
-      if (proof && proof.publicInputs && proof.publicInputs.return) {
-        globalMerkleRoot = proof.publicInputs.return;
-        show("logs", "Merkle Root: " + globalMerkleRoot);
-      } else {
-        show("logs", "Warning: Could not extract Merkle root from proof");
-        // Use a placeholder for testing UI
-        globalMerkleRoot = BigInt("0x1234567890abcdef");
-      }
-      
-      // Extract encrypted matches
-      const encryptedMatches = extractEncryptedMatches(proof);
-      show("logs", `Found ${encryptedMatches.length} ElGamal encrypted matches`);
+      const collegeSlots = matchResults.college_matches.reduce((sum, slots) => sum + slots.length, 0);
+      show("logs", `Found ${matchResults.student_matches.length} student and ${collegeSlots} college ElGamal encrypted matches`);
       
       // Step 5: Decrypt matches
       show("logs", "5. STEP: Decrypting matches (each party can only decrypt their own)...");
+      const maps = prepared.permutation.maps;
+      const unlock = (role, participant) => keyVault.unlockKey({ round, role, participant }, passphrase);
+      globalStudentMatches = await Promise.all(directory.students.map(async (participant, studentId) =>
+        decryptForStudent(matchResults, { maps, studentId, privateKey: await unlock("student", participant) })));
       
-      // Decrypt student matches
-      const permutedStudentMatches = await decryptStudentMatches(
-        encryptedMatches.slice(0, actualStudentList),
-        studentPrivateKeys,
-        globalPermutationMaps.studentIdMap
-      );
+      show("logs", "Student match results:");
+      globalStudentMatches.forEach((collegeId, i) => {
+        show("logs", collegeId === UNMATCHED
+          ? `${studentName(directory, i)} is unmatched`
+          : `${studentName(directory, i)} matched with ${collegeName(directory, collegeId)}`);
+      });
       
-      globalStudentMatches = permutedStudentMatches;
+      show("logs", "College match results:");
+      const collegeMatches = await Promise.all(directory.colleges.map(async (participant, collegeId) =>
+        decryptForCollege(matchResults, { maps, collegeId, privateKey: await unlock("college", participant) })));
+      collegeMatches.forEach((students, collegeId) => {
+        show("logs", `${collegeName(directory, collegeId)} admitted: ` +
+          (students.map(id => studentName(directory, id)).join(", ") || "none"));
+      });
       
-      // Store match nonces (in a real app, these would be securely generated)
-      globalStudentNonces = Array(N_STUDENT_PREFERENCE).fill().map((_, i) => i + 10000);
+      const differences = compareMatchings(reference,
+        { student_matches: globalStudentMatches, college_matches: collegeMatches });
+      show("logs", differences.length === 0
+        ? "Decrypted results match the reference Gale–Shapley preview ✅"
+        : `Decrypted results differ from the reference ❌ ${differences.join("; ")}`);
       
-      // Generate match commitments (simulating what happens in the Noir circuit)
-      globalMatchCommitments = await Promise.all(permutedStudentMatches.map(async (match, i) => {
-        if (i >= actualStudentList) return 0;
-        const collegeId = match === UNMATCHED ? UNMATCHED : match;
-        return await generateCommitmentHash(i, collegeId, globalStudentNonces[i]);
-      }));
+      // Check the README's promise on what was actually decrypted
+      const { stable, problems: stabilityProblems } = checkStability(roster,
+        { student_matches: globalStudentMatches, college_matches: collegeMatches }, { directory });
+      show("logs", stable
+        ? "Stability check ✅ PASS: no blocking pairs, capacity violations or unranked matches"
+        : `Stability check ❌ FAIL (${stabilityProblems.length} problems):`);
+      stabilityProblems.forEach(problem => show("logs", `  - ${problem.message}`));
       
-      // Reverse permutation to get original matches
-      const actualStudentMatches = reversePermutation(
-        permutedStudentMatches, 
-        globalPermutationMaps, 
-        actualStudentList
-      );
+      // Commit to every student's match for the admission proofs, each with
+      // a nonce agreed with that student's key
+      const { nonceKey, nonces } = await deriveMatchNonces(publicKeys.student);
+      globalMatchCommitments = await Promise.all(globalStudentMatches.map((collegeId, i) =>
+        generateCommitmentHash(i, collegeId, nonces[i])));
+      await buildMatchTree();
       
-      // Display student matches
-      show("logs", "Student match results (after reversing permutation):");
-      for (let i = 0; i < actualStudentList; i++) {
-        const collegeId = actualStudentMatches[i];
-        if (collegeId === UNMATCHED) {
-          show("logs", `Student ${i} is unmatched`);
-        } else {
-          show("logs", `Student ${i} matched with College ${collegeId}`);
-        }
-      }
+      // Each student recovers only their own nonce, from the published nonce key
+      globalStudentNonces = await Promise.all(directory.students.map(async (participant, studentId) =>
+        recoverMatchNonce({ nonceKey, studentId, privateKey: await unlock("student", participant) })));
       
-      // Verify proof of correct execution
-      show("logs", "Verifying proof of fair matching...");
-      const isValid = await backend.verifyProof(proof);
-      show("logs", `Proof ${isValid ? "✅ VALID" : "❌ INVALID"}`);
+      // Reveal the seed so anyone can check the maps against the commitment
+      show("logs", `Revealed permutation seed: ${permutationSeed}`);
+      const auditProblems = await auditPermutationMaps({
+        seed: permutationSeed,
+        commitment: prepared.permutation.commitment,
+        maps
+      });
+      show("logs", auditProblems.length === 0
+        ? "Permutation audit ✅ maps match the committed seed"
+        : `Permutation audit ❌ ${auditProblems.join("; ")}`);
       
       // Show Merkle root
       show("logs", "");
       show("logs", "6. STEP: Merkle tree verification");
-      show("logs", `Public Merkle root: ${globalMerkleRoot}`);
+      show("logs", `Public Merkle root: ${toHex(globalMerkleRoot)}`);
+      show("logs", `Match nonce key (published with the root): ${JSON.stringify(nonceKey)}`);
       show("logs", "This root can be used to verify any student's match without revealing other matches.");
+      show("logs", "The matching proof does not cover the root: it is the coordinator's claim, and each student can check only their own leaf.");
+      
+      // Publish the proof bundle, with the root, for verifier.html
+      bundle.merkleRoot = globalMerkleRoot;
+      offerDownload("logs", "bundle.json", exportBundleJson(bundle), "application/json");
+      offerDownload("logs", "bundle.zkub", exportBundleBinary(bundle), "application/octet-stream");
+      show("logs", "Anyone can check this bundle on the verifier page (verifier.html) without private data.");
       
     } catch (circuitError) {
+      if (circuitError instanceof ProvingCancelledError) {
+        show("logs", "⏹️ Proving cancelled; no results were produced");
+        return;
+      }
       console.error("Circuit execution error:", circuitError);
       show("logs", `❌ Circuit error: ${circuitError.message}`);
       
@@ -813,26 +559,23 @@ async function processMatchingWithZKP() {
       show("logs", "Falling back to mock data for demonstration purposes");
       
       // Mock the global variables for UI testing
-      globalMerkleRoot = BigInt("0x1234567890abcdef");
       globalStudentMatches = [1, 0, 2, 0, UNMATCHED];
-      globalStudentNonces = Array(N_STUDENT_PREFERENCE).fill().map((_, i) => i + 10000);
-      globalMatchCommitments = Array(N_STUDENT_PREFERENCE).fill().map((_, i) => 
-        BigInt("0x" + (i * 100 + 1).toString(16).padStart(16, '0')));
+      globalStudentNonces = globalStudentMatches.map(() => randomScalar());
+      globalMatchCommitments = await Promise.all(globalStudentMatches.map((collegeId, i) =>
+        generateCommitmentHash(i, collegeId, globalStudentNonces[i])));
+      await buildMatchTree();
       
       // Display mock results
       show("logs", "MOCK Student match results:");
-      for (let i = 0; i < actualStudentList; i++) {
-        const collegeId = globalStudentMatches[i];
-        if (collegeId === UNMATCHED) {
-          show("logs", `Student ${i} is unmatched`);
-        } else {
-          show("logs", `Student ${i} matched with College ${collegeId}`);
-        }
-      }
+      globalStudentMatches.forEach((collegeId, i) => {
+        show("logs", collegeId === UNMATCHED
+          ? `${studentName(globalDirectory, i)} is unmatched`
+          : `${studentName(globalDirectory, i)} matched with ${collegeName(globalDirectory, collegeId)}`);
+      });
       
       show("logs", "");
       show("logs", "6. STEP: Merkle tree verification (MOCK)");
-      show("logs", `Public Merkle root: ${globalMerkleRoot}`);
+      show("logs", `Public Merkle root: ${toHex(globalMerkleRoot)}`);
     }
     
     // Create verification UI regardless of circuit success
@@ -858,6 +601,29 @@ document.addEventListener("DOMContentLoaded", () => {
     
     <div class="controls">
       <button id="run-matching-btn" class="primary-btn">Run Privacy-Preserving Matching</button>
+      <button id="cancel-proof-btn" class="demo-btn" disabled>Cancel Proof</button>
+      <progress id="proof-progress" hidden></progress>
+    </div>
+    
+    <div id="roster-import" class="form-group">
+      <label for="roster-file">Roster (CSV or JSON, optional; the test data is used otherwise):</label>
+      <input type="file" id="roster-file" accept=".csv,.json,text/csv,application/json">
+      <textarea id="roster-text" rows="4" placeholder="role,name,capacity,choice1,choice2,..."></textarea>
+      <button id="load-roster-btn" class="demo-btn">Load Roster</button>
+      <div id="roster-status"></div>
+    </div>
+    
+    <div id="key-vault" class="form-group">
+      <label for="vault-passphrase">Key vault (private keys are sealed in this browser under the passphrase):</label>
+      <input type="text" id="vault-round" value="demo-round" placeholder="Admissions round">
+      <input type="password" id="vault-passphrase" placeholder="Passphrase">
+      <button id="export-vault-btn" class="demo-btn">Export Backup</button>
+      <input type="file" id="vault-file" accept=".json,application/json">
+      <button id="import-vault-btn" class="demo-btn">Import Backup</button>
+      <input type="file" id="provisioned-files" multiple accept=".json,application/json">
+      <button id="load-keys-btn" class="demo-btn">Load Provisioned Keys</button>
+      <div id="vault-keys"></div>
+      <div id="vault-status"></div>
     </div>
     
     <div id="logs" class="logs-container"></div>
@@ -865,6 +631,84 @@ document.addEventListener("DOMContentLoaded", () => {
   
   app.appendChild(ui);
   
+  document.getElementById("cancel-proof-btn").addEventListener("click", () => proofController?.abort());
+  
+  // Roster import: names are mapped to ids here and never leave the browser
+  document.getElementById("load-roster-btn").addEventListener("click", async () => {
+    const status = document.getElementById("roster-status");
+    const [file] = document.getElementById("roster-file").files;
+    const text = file ? await file.text() : document.getElementById("roster-text").value;
+    try {
+      importedRoster = importRoster(text, file?.name.endsWith(".json") ? { format: "json" } : undefined);
+      const { students, colleges } = importedRoster.directory;
+      status.textContent = `✅ Loaded ${students.length} students and ${colleges.length} colleges`;
+    } catch (err) {
+      importedRoster = null;
+      status.textContent = `❌ ${(err.errors ?? [err.message]).join("\n")}`;
+    }
+  });
+  
+  // Key vault: backups are encrypted under the passphrase and hold one round's keys
+  const vaultStatus = message => {
+    document.getElementById("vault-status").textContent = message;
+  };
+  document.getElementById("vault-round").addEventListener("change", renderVaultKeys);
+  document.getElementById("export-vault-btn").addEventListener("click", async () => {
+    const { round, passphrase } = vaultSettings();
+    if (passphrase === "") return vaultStatus("❌ Enter a passphrase to encrypt the backup");
+    vaultStatus("");
+    offerDownload("vault-status", `keys-${round}.json`, await keyVault.exportBackup(passphrase, { round }), "application/json");
+  });
+  document.getElementById("import-vault-btn").addEventListener("click", async () => {
+    const [file] = document.getElementById("vault-file").files;
+    if (!file) return vaultStatus("❌ Choose a backup file");
+    try {
+      const keys = await keyVault.importBackup(await file.text(), vaultSettings().passphrase);
+      vaultStatus(`✅ Imported ${keys.length} keys`);
+      await renderVaultKeys();
+    } catch (err) {
+      vaultStatus(`❌ ${(err.errors ?? [err.message]).join("\n")}`);
+    }
+  });
+  // Key files from `zkuni keys`, checked against its public roster when that is
+  // selected too, and sealed under the passphrase for the current round
+  document.getElementById("load-keys-btn").addEventListener("click", async () => {
+    const { round, passphrase } = vaultSettings();
+    if (passphrase === "") return vaultStatus("❌ Enter a passphrase to seal the keys");
+    let files;
+    try {
+      files = await Promise.all([...document.getElementById("provisioned-files").files]
+        .map(async file => ({ name: file.name, json: JSON.parse(await file.text()) })));
+    } catch (err) {
+      return vaultStatus(`❌ Not a key file: ${err.message}`);
+    }
+    const publicRoster = files.find(file => file.json.curve !== undefined)?.json ?? null;
+    const problems = [];
+    let loaded = 0;
+    for (const { name, json: keyFile } of files) {
+      if (keyFile === publicRoster) continue;
+      const fileProblems = keyFileProblems(keyFile, publicRoster);
+      if (keyFile.round && keyFile.round !== round) fileProblems.push(`provisioned for round "${keyFile.round}"`);
+      if (fileProblems.length > 0) {
+        problems.push(`${name}: ${fileProblems.join("; ")}`);
+        continue;
+      }
+      const participant = keyFile.role === "student"
+        ? studentName(null, keyFile.id)
+        : collegeName(null, keyFile.id);
+      try {
+        await keyVault.addKey({ round, role: keyFile.role, participant: keyFile.name ?? participant },
+          keyFile.privateKey, passphrase);
+        loaded++;
+      } catch (err) {
+        problems.push(`${name}: ${(err.errors ?? [err.message]).join("; ")}`);
+      }
+    }
+    vaultStatus([`${problems.length === 0 ? "✅" : "❌"} Loaded ${loaded} keys`, ...problems].join("\n"));
+    await renderVaultKeys();
+  });
+  renderVaultKeys().catch(err => vaultStatus(`❌ Key vault unavailable: ${err.message}`));
+  
   // Add event listeners with debugging
   const runButton = document.getElementById("run-matching-btn");
   console.log("Run button element:", runButton);
@@ -903,15 +747,20 @@ document.addEventListener("DOMContentLoaded", () => {
     app.appendChild(keyInfo);
     
     try {
+      const { round, passphrase } = vaultSettings();
+      if (passphrase === "") throw new Error("Enter a key vault passphrase to store the key");
       const keyPair = await generateElGamalKeyPair();
+      const stored = await keyVault.addKey({ round, role: "demo", participant: keyPair.fingerprint },
+        keyPair.privateKey, passphrase);
+      await renderVaultKeys();
       keyInfo.innerHTML = `
         <h3>Generated ElGamal Key Info:</h3>
-        <p><strong>Public Key Hash:</strong> ${keyPair.publicKeyHash}</p>
-        <p><small>This is the value that would be sent to the Noir circuit</small></p>
+        <p><strong>Public Key Fingerprint:</strong> ${keyPair.fingerprint}</p>
+        <p><small>pedersen_hash([x, y]), the value listed for this key in the key registry</small></p>
         <p><strong>Public Key X:</strong> ${keyPair.publicKey.x.toString().substring(0, 20)}...</p>
         <p><strong>Public Key Y:</strong> ${keyPair.publicKey.y.toString().substring(0, 20)}...</p>
-        <p><strong>Private Key:</strong> [Securely stored in browser]</p>
-        <p><small>In a real app, this would never be displayed</small></p>
+        <p><strong>Private Key:</strong> sealed in the key vault as ${stored.id}</p>
+        <p><small>Only the passphrase unlocks it; export a backup to move it to another browser</small></p>
       `;
     } catch (err) {
       console.error("Key generation error:", err);
@@ -1018,6 +867,17 @@ document.addEventListener("DOMContentLoaded", () => {
       font-weight: bold;
     }
     
+    #roster-text {
+      display: block;
+      width: 100%;
+      margin: 8px 0;
+      font-family: monospace;
+    }
+    
+    #roster-status, #vault-status {
+      white-space: pre-wrap;
+    }
+    
     select, input {
       padding: 8px;
       border: 1px solid #ddd;
@@ -1044,31 +904,29 @@ document.addEventListener("DOMContentLoaded", () => {
     show("logs", "🚀 Using mock data for UI testing");
     
     // Set global variables with mock data
-    globalMerkleRoot = BigInt("0x1234567890abcdef");
     globalStudentMatches = [1, 0, 2, 0, UNMATCHED];
-    globalStudentNonces = Array(N_STUDENT_PREFERENCE).fill().map((_, i) => i + 10000);
-    globalMatchCommitments = Array(N_STUDENT_PREFERENCE).fill().map((_, i) => 
-      BigInt("0x" + (i * 100 + 1).toString(16).padStart(16, '0')));
+    globalStudentNonces = globalStudentMatches.map(() => randomScalar());
+    globalMatchCommitments = await Promise.all(globalStudentMatches.map((collegeId, i) =>
+      generateCommitmentHash(i, collegeId, globalStudentNonces[i])));
+    await buildMatchTree();
     
     globalPermutationMaps = {
       studentIdMap: [0, 1, 2, 3, 4],
       collegeIdMap: [0, 1, 2, 3, 4]
     };
+    globalDirectory = importRoster(DEFAULT_ROSTER).directory;
     
     // Display mock results
     show("logs", "MOCK Student match results:");
-    for (let i = 0; i < 5; i++) {
-      const collegeId = globalStudentMatches[i];
-      if (collegeId === UNMATCHED) {
-        show("logs", `Student ${i} is unmatched`);
-      } else {
-        show("logs", `Student ${i} matched with College ${collegeId}`);
-      }
-    }
+    globalStudentMatches.forEach((collegeId, i) => {
+      show("logs", collegeId === UNMATCHED
+        ? `${studentName(globalDirectory, i)} is unmatched`
+        : `${studentName(globalDirectory, i)} matched with ${collegeName(globalDirectory, collegeId)}`);
+    });
     
     show("logs", "");
     show("logs", "Merkle tree verification (MOCK)");
-    show("logs", `Public Merkle root: ${globalMerkleRoot}`);
+    show("logs", `Public Merkle root: ${toHex(globalMerkleRoot)}`);
     
     // Create verification UI
     createVerificationUI();
@@ -0,0 +1,293 @@
+#!/usr/bin/env node
+// End-to-end check of the HTTP coordinator (server/coordinator.js): a full
+// round driven over HTTP, from registration, preference commitments and
+// sealed reveals to every participant decrypting their own result, an
+// auditor checking the proof's commitment against the published preference
+// commitments, and a restart on the same data directory. A second round runs
+// out its deadlines to check late reveals.
+//
+//   npm run test:coordinator              # proves and verifies the bundle
+//   npm run test:coordinator -- --dry-run # executes only, much faster
+//
+// Proving uses the test CRS (test-crs.js), so neither mode needs the network.
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm, stat } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { parseArgs } from "node:util";
+import { serveCoordinator } from "../server/coordinator.js";
+import {
+  N_COLLEGE_QUOTA,
+  N_STUDENT_PREFERENCE,
+  combineInputCommitment,
+  compareMatchings,
+  configureBackend,
+  decryptCollegeCiphertexts,
+  decryptStudentCiphertext,
+  galeShapley,
+  generateKeyPair,
+  generatePermutationMaps,
+  importBundle,
+  preferenceCommitment,
+  preferencesRoot,
+  provisionKeys,
+  sealSubmission,
+  verifyBundle
+} from "../src/index.js";
+import { randomScalar } from "../src/elgamal.js";
+import { toBigInt, toHex } from "../src/grumpkin.js";
+import { ensureTestCrs } from "./test-crs.js";
+
+const ROUND = "e2e-round";
+const LATE_ROUND = "e2e-late-round";
+const COORDINATOR_TOKEN = "coordinator-secret";
+const STUDENTS = {
+  Alice: ["Harvard", "Yale"],
+  Bob: ["Harvard", "Stanford"],
+  Charlie: ["Yale", "Harvard"],
+  David: ["Harvard"],
+  Eve: ["Stanford", "Yale", "Harvard"]
+};
+const COLLEGES = {
+  Harvard: { capacity: 3, preferences: ["Alice", "David", "Bob", "Charlie", "Eve"] },
+  Yale: { capacity: 1, preferences: ["Charlie", "Alice", "Eve"] },
+  Stanford: { capacity: 1, preferences: ["Eve", "Bob"] }
+};
+
+// JSON request against the coordinator; resolves to { status, body }
+function client(url) {
+  return async (method, path, { token, body } = {}) => {
+    const response = await fetch(`${url}${path}`, {
+      method,
+      headers: {
+        ...(token && { authorization: `Bearer ${token}` }),
+        ...(body && { "content-type": "application/json" })
+      },
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const inSeconds = seconds => new Date(Date.now() + seconds * 1000).toISOString();
+
+// A ranking with names replaced by ids, and its preference commitment
+async function commitTo(participant, ranking, { students, colleges }) {
+  const others = participant.role === "student" ? colleges : students;
+  const salt = toHex(randomScalar());
+  const preferences = ranking.preferences.map(name => others.indexOf(name));
+  const commitment = await preferenceCommitment({ ...participant, preferences, capacity: ranking.capacity ?? 0 }, toBigInt(salt));
+  return { reveal: { ...ranking, salt }, commitment: toHex(commitment) };
+}
+
+// Poll the round's status until proving is over
+async function waitForRound(request, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const { body } = await request("GET", `/rounds/${ROUND}`);
+    if (body.status !== "proving") return body;
+    if (Date.now() > deadline) throw new Error(`round still proving after ${timeoutMs / 1000}s`);
+    await sleep(500);
+  }
+}
+
+async function main() {
+  const { values } = parseArgs({ options: { "dry-run": { type: "boolean", default: false } } });
+  const dryRun = values["dry-run"];
+  if (!dryRun) configureBackend({ crsPath: await ensureTestCrs() });
+  const dataDir = await mkdtemp(join(tmpdir(), "zkuni-coordinator-"));
+  let server = await serveCoordinator({ dataDir, coordinatorToken: COORDINATOR_TOKEN, port: 0, log: () => {} });
+  try {
+    let request = client(server.url);
+    const coordinator = COORDINATOR_TOKEN;
+
+    const phases = { round: ROUND, commitDeadline: inSeconds(3600), revealDeadline: inSeconds(7200) };
+    assert.equal((await request("POST", "/rounds", { body: phases })).status, 401);
+    assert.equal((await request("POST", "/rounds", { token: coordinator, body: { ...phases, round: "../escape" } })).status, 400);
+    const backwards = { ...phases, revealDeadline: phases.commitDeadline, commitDeadline: phases.revealDeadline };
+    assert.equal((await request("POST", "/rounds", { token: coordinator, body: backwards })).status, 400);
+    const created = await request("POST", "/rounds", { token: coordinator, body: phases });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    assert.ok(created.body.permutationSeedCommitment, "seed not committed to before commitments");
+    assert.equal((await request("POST", "/rounds", { token: coordinator, body: phases })).status, 409);
+    console.log("Round created; missing tokens, bad deadlines and duplicates rejected ✅");
+
+    // Keys are generated on the participants' side; only public keys are sent
+    const { keyFiles } = provisionKeys({ students: Object.keys(STUDENTS), colleges: Object.keys(COLLEGES), round: ROUND });
+    const participants = [];
+    for (const keyFile of keyFiles) {
+      const { status, body } = await request("POST", `/rounds/${ROUND}/participants`, {
+        body: { role: keyFile.role, name: keyFile.name, publicKey: keyFile.publicKey }
+      });
+      assert.equal(status, 201, JSON.stringify(body));
+      assert.equal(body.id, keyFile.id);
+      participants.push({ ...keyFile, token: body.token });
+    }
+    const [alice, bob] = participants;
+    const reused = await request("POST", `/rounds/${ROUND}/participants`, {
+      body: { role: "college", name: "Mallory U", publicKey: alice.publicKey }
+    });
+    assert.equal(reused.status, 400, "a key was registered twice");
+
+    // A college that reveals something other than what it committed to
+    const stray = { role: "college", name: "Stray U", ...generateKeyPair() };
+    const strayRegistration = await request("POST", `/rounds/${ROUND}/participants`, {
+      body: { role: stray.role, name: stray.name, publicKey: stray.publicKey }
+    });
+    Object.assign(stray, strayRegistration.body);
+    console.log(`Registered ${participants.length + 1} participants; key reuse rejected ✅`);
+
+    // Commit phase: every client publishes a commitment and keeps its salt
+    const { body: open } = await request("GET", `/rounds/${ROUND}`);
+    const reveals = new Map();
+    for (const participant of [...participants, stray]) {
+      const ranking = participant === stray
+        ? { preferences: ["Alice"], capacity: 1 }
+        : participant.role === "student" ? { preferences: STUDENTS[participant.name] } : COLLEGES[participant.name];
+      const { reveal, commitment } = await commitTo(participant, ranking, open);
+      const { status, body } = await request("PUT", `/rounds/${ROUND}/commitment`, { token: participant.token, body: { commitment } });
+      assert.equal(status, 200, JSON.stringify(body));
+      reveals.set(participant, reveal);
+    }
+    reveals.set(stray, { ...reveals.get(stray), preferences: ["Bob"] });
+    assert.equal((await request("PUT", `/rounds/${ROUND}/commitment`, { token: alice.token, body: { commitment: "0xzz" } })).status, 400);
+    assert.equal((await request("PUT", `/rounds/${ROUND}/commitment`, { token: "forged", body: { commitment: "0x1" } })).status, 403);
+
+    const seal = (participant, ranking, privateKey = participant.privateKey) => sealSubmission(ranking, {
+      round: ROUND, role: participant.role, id: participant.id, recipient: open.submissionPublicKey, privateKey
+    });
+    const early = await request("PUT", `/rounds/${ROUND}/reveal`, { token: alice.token, body: await seal(alice, reveals.get(alice)) });
+    assert.equal(early.status, 409, "revealed while commitments were still open");
+    console.log("Commitments published; malformed commitments, forged tokens and early reveals rejected ✅");
+
+    assert.equal((await request("POST", `/rounds/${ROUND}/close`, { token: alice.token })).status, 403);
+    const committed = await request("POST", `/rounds/${ROUND}/close`, { token: coordinator });
+    assert.equal(committed.status, 200, JSON.stringify(committed.body));
+    assert.equal(committed.body.status, "committed");
+    assert.ok(committed.body.keySnapshotCommitment);
+    assert.equal(committed.body.permutationSeed, null, "seed revealed before proving");
+    assert.equal((await request("PUT", `/rounds/${ROUND}/commitment`, { token: alice.token, body: { commitment: "0x1" } })).status, 409);
+    assert.equal((await request("POST", `/rounds/${ROUND}/participants`, {
+      body: { role: "student", name: "Latecomer", publicKey: generateKeyPair().publicKey }
+    })).status, 409);
+    console.log("Commit phase closed; participants can't close it, late commitments rejected ✅");
+
+    // Reveal phase: each client seals its ranking and salt to the round's key
+    for (const participant of [...participants, stray]) {
+      const submission = await seal(participant, reveals.get(participant));
+      const { status, body } = await request("PUT", `/rounds/${ROUND}/reveal`, { token: participant.token, body: submission });
+      assert.equal(status, 200, JSON.stringify(body));
+    }
+    const impersonated = await seal(alice, reveals.get(alice), bob.privateKey);
+    assert.equal((await request("PUT", `/rounds/${ROUND}/reveal`, { token: alice.token, body: impersonated })).status, 400);
+    const misaddressed = await seal(bob, reveals.get(bob));
+    assert.equal((await request("PUT", `/rounds/${ROUND}/reveal`, { token: alice.token, body: misaddressed })).status, 400);
+    const stored = await readFile(join(dataDir, "rounds", ROUND, "state.json"), "utf8");
+    assert.ok(!stored.includes('"salt"') && !stored.includes('"preferences"'), "plaintext preferences stored");
+    console.log("Sealed reveals stored; wrong signatures and wrong senders rejected ✅");
+
+    const revealed = await request("POST", `/rounds/${ROUND}/close`, { token: coordinator });
+    assert.equal(revealed.body.status, "revealed");
+    assert.equal((await request("GET", `/rounds/${ROUND}/ciphertext`, { token: alice.token })).status, 409);
+
+    const started = await request("POST", `/rounds/${ROUND}/prove`, { token: coordinator, body: { dryRun } });
+    assert.equal(started.status, 202, JSON.stringify(started.body));
+    console.log(dryRun ? "Executing circuit (dry run, no proof)..." : "Generating proof...");
+    const status = await waitForRound(request, 600_000);
+    assert.equal(status.status, "published", status.error);
+    assert.ok(status.inputCommitment && status.permutationSeed);
+    assert.deepEqual(status.report.rejected, [
+      { role: "college", id: 3, name: "Stray U", reason: "reveal does not match its commitment" }
+    ]);
+    console.log("Reveals opened while proving; the mismatched reveal was rejected without revealing it ✅");
+
+    // An auditor needs only the published commitments, the report and the
+    // inputs digest to tie the proof to what was committed
+    const accepted = (list, ids) => list.map((commitment, id) => (ids.includes(id) ? commitment : null));
+    const root = await preferencesRoot({
+      student: accepted(status.commitments.students, status.report.accepted.students),
+      college: accepted(status.commitments.colleges, status.report.accepted.colleges)
+    });
+    assert.equal(toHex(root), status.preferencesRoot);
+    assert.equal(toHex(await combineInputCommitment(status.inputsDigest, root)), status.inputCommitment);
+    console.log("Input commitment binds the accepted preference commitments ✅");
+
+    const bundle = await request("GET", `/rounds/${ROUND}/bundle`);
+    if (dryRun) {
+      assert.equal(bundle.status, 404);
+    } else {
+      assert.equal(bundle.status, 200);
+      const verified = await verifyBundle(importBundle(JSON.stringify(bundle.body)), { commitment: status.inputCommitment });
+      assert.ok(verified.valid, verified.problems?.join("; "));
+      console.log("Proof bundle verifies against the published input commitment ✅");
+    }
+
+    // Every participant decrypts only their own slot, with the revealed seed
+    const maps = generatePermutationMaps(status.permutationSeed, N_STUDENT_PREFERENCE, N_COLLEGE_QUOTA);
+    const expected = galeShapley({
+      studentPrefs: Object.values(STUDENTS).map(names => names.map(name => Object.keys(COLLEGES).indexOf(name))),
+      collegePrefs: Object.values(COLLEGES).map(({ preferences }) => preferences.map(name => Object.keys(STUDENTS).indexOf(name))),
+      collegeCapacities: Object.values(COLLEGES).map(({ capacity }) => capacity)
+    });
+    const found = { student_matches: [], college_matches: [] };
+    for (const participant of participants) {
+      const { status: code, body } = await request("GET", `/rounds/${ROUND}/ciphertext`, { token: participant.token });
+      assert.equal(code, 200, JSON.stringify(body));
+      assert.equal(body.id, participant.id);
+      const privateKey = toBigInt(participant.privateKey);
+      if (participant.role === "student") {
+        found.student_matches[participant.id] = decryptStudentCiphertext(body.ciphertext, { maps, privateKey });
+      } else {
+        found.college_matches[participant.id] = decryptCollegeCiphertexts(body.ciphertexts, { maps, privateKey });
+      }
+    }
+    assert.deepEqual(compareMatchings(expected, found), []);
+    console.log("Every participant decrypted their own result, matching the reference ✅");
+
+    // State outlives the process
+    await server.close();
+    server = await serveCoordinator({ dataDir, coordinatorToken: COORDINATOR_TOKEN, port: 0, log: () => {} });
+    request = client(server.url);
+    const restarted = await request("GET", `/rounds/${ROUND}`);
+    assert.equal(restarted.body.status, "published");
+    assert.equal(restarted.body.inputCommitment, status.inputCommitment);
+    assert.equal((await request("GET", `/rounds/${ROUND}/ciphertext`, { token: alice.token })).status, 200);
+    assert.equal((await stat(join(dataDir, "rounds", ROUND, "secrets.json"))).mode & 0o077, 0);
+    console.log("Round state survives a restart ✅");
+
+    // Deadlines end phases on their own; a reveal after them is refused and reported
+    const late = await request("POST", "/rounds", {
+      token: coordinator, body: { round: LATE_ROUND, commitDeadline: inSeconds(1), revealDeadline: inSeconds(2) }
+    });
+    assert.equal(late.status, 201, JSON.stringify(late.body));
+    const latecomer = { role: "student", id: 0, ...generateKeyPair() };
+    const { body: lateRegistration } = await request("POST", `/rounds/${LATE_ROUND}/participants`, {
+      body: { role: "student", name: "Alice", publicKey: latecomer.publicKey }
+    });
+    const { reveal: lateReveal, commitment: lateCommitment } = await commitTo(latecomer, { preferences: [] }, late.body);
+    const token = lateRegistration.token;
+    assert.equal((await request("PUT", `/rounds/${LATE_ROUND}/commitment`, { token, body: { commitment: lateCommitment } })).status, 200);
+    await sleep(2500);
+    const lateSubmission = await sealSubmission(lateReveal, {
+      round: LATE_ROUND, role: "student", id: 0, recipient: late.body.submissionPublicKey, privateKey: latecomer.privateKey
+    });
+    assert.equal((await request("PUT", `/rounds/${LATE_ROUND}/reveal`, { token, body: lateSubmission })).status, 409);
+    const lateStatus = (await request("GET", `/rounds/${LATE_ROUND}`)).body;
+    assert.equal(lateStatus.status, "revealed");
+    assert.deepEqual(lateStatus.lateReveals.map(({ role, id }) => ({ role, id })), [{ role: "student", id: 0 }]);
+    console.log("Phases end at their deadlines; the late reveal was refused and recorded ✅");
+  } finally {
+    await server.close();
+    await rm(dataDir, { recursive: true, force: true });
+  }
+}
+
+// bb.js keeps worker threads alive, so exit explicitly once done
+main().then(
+  () => process.exit(0),
+  err => {
+    console.error(err);
+    process.exit(1);
+  }
+);
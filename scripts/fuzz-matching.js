@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+// Differential fuzzing of the matching circuit against the JS reference
+// (src/gale-shapley.js). Random rosters within the ABI limits (partial lists,
+// zero-capacity colleges, short rosters) are executed with noir_js, without
+// proving, and decrypted with test keys. Any disagreement with the reference
+// is shrunk to a minimal instance and saved as a JSON fixture.
+//
+//   npm run fuzz -- [--runs 50] [--seed 1] [--fixtures scripts/fixtures]
+//   npm run fuzz -- --replay [--fixtures scripts/fixtures]
+//
+// Instances run in one of two modes:
+//   "permuted"  through prepareInputs, shuffled over every padded slot
+//   "direct"    identity slots, with actual_student_list and actual_uni_list
+//               set to the roster size
+import { createHash } from "node:crypto";
+import { mkdir, readdir, readFile, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { parseArgs } from "node:util";
+import circuit from "../circuit/target/circuit.json" with { type: "json" };
+import {
+  MAX_COLLEGE_CAPACITY,
+  MAX_PREFS,
+  N_COLLEGE_QUOTA,
+  N_STUDENT_PREFERENCE,
+  compareMatchings,
+  decryptForCollege,
+  decryptForStudent,
+  derivePublicKey,
+  execute,
+  galeShapley,
+  permuteRoster,
+  prepareInputs
+} from "../src/index.js";
+import { withInputCommitment } from "../src/commitment.js";
+
+const NONCE_SEED = 0x5eed;
+const studentKey = s => BigInt(1000 + s);
+const collegeKey = c => BigInt(2000 + c);
+
+// mulberry32: small, seedable, good enough to pick test cases
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 2 ** 32;
+  };
+  const below = n => Math.floor(next() * n);
+  const shuffle = items => {
+    const out = [...items];
+    for (let i = out.length - 1; i > 0; i--) {
+      const j = below(i + 1);
+      [out[i], out[j]] = [out[j], out[i]];
+    }
+    return out;
+  };
+  return { below, shuffle };
+}
+
+const range = n => Array.from({ length: n }, (_, i) => i);
+
+function randomInstance(random) {
+  const students = 1 + random.below(N_STUDENT_PREFERENCE);
+  const colleges = 1 + random.below(N_COLLEGE_QUOTA);
+  const seedBytes = range(32).map(() => random.below(256).toString(16).padStart(2, "0"));
+  const mode = random.below(2) === 0 ? "permuted" : "direct";
+  return {
+    mode,
+    ...(mode === "permuted" && { permutationSeed: "0x" + seedBytes.join("") }),
+    studentPrefs: range(students).map(() =>
+      random.shuffle(range(colleges)).slice(0, random.below(Math.min(colleges, MAX_PREFS) + 1))),
+    collegePrefs: range(colleges).map(() =>
+      random.shuffle(range(students)).slice(0, random.below(students + 1))),
+    // Zero capacity a quarter of the time
+    collegeCapacities: range(colleges).map(() => (random.below(4) === 0 ? 0 : 1 + random.below(MAX_COLLEGE_CAPACITY)))
+  };
+}
+
+const rosterOf = instance => ({
+  studentPrefs: instance.studentPrefs,
+  collegePrefs: instance.collegePrefs,
+  collegeCapacities: instance.collegeCapacities,
+  studentPublicKeys: instance.studentPrefs.map((_, s) => derivePublicKey(studentKey(s))),
+  collegePublicKeys: instance.collegePrefs.map((_, c) => derivePublicKey(collegeKey(c)))
+});
+
+async function prepareDirect(roster) {
+  const maps = { studentIdMap: range(N_STUDENT_PREFERENCE), collegeIdMap: range(N_COLLEGE_QUOTA) };
+  const permuted = permuteRoster(roster, maps);
+  const inputs = await withInputCommitment(circuit.abi, {
+    permuted_student_prefs: permuted.studentPrefs,
+    permuted_college_prefs: permuted.collegePrefs,
+    college_capacities: permuted.capacities,
+    permuted_student_public_keys: permuted.studentKeys,
+    permuted_college_public_keys: permuted.collegeKeys,
+    actual_student_list: roster.studentPrefs.length,
+    actual_uni_list: roster.collegePrefs.length,
+    nonce_seed: NONCE_SEED,
+    student_id_map: maps.studentIdMap,
+    college_id_map: maps.collegeIdMap,
+    student_salts: Array(N_STUDENT_PREFERENCE).fill(0),
+    college_salts: Array(N_COLLEGE_QUOTA).fill(0)
+  });
+  return { inputs, permutation: { maps } };
+}
+
+// The circuit's matching in original ids, decrypted with the test keys
+async function runCircuit(instance) {
+  const roster = rosterOf(instance);
+  const prepared = instance.mode === "direct"
+    ? await prepareDirect(roster)
+    : await prepareInputs(roster, { permutationSeed: instance.permutationSeed, nonceSeed: NONCE_SEED });
+  const matchResults = await execute(prepared);
+  const { maps } = prepared.permutation;
+  return {
+    student_matches: instance.studentPrefs.map((_, studentId) =>
+      decryptForStudent(matchResults, { maps, studentId, privateKey: studentKey(studentId) })),
+    college_matches: instance.collegePrefs.map((_, collegeId) =>
+      decryptForCollege(matchResults, { maps, collegeId, privateKey: collegeKey(collegeId) }))
+  };
+}
+
+// Differences between circuit and reference; empty when they agree
+async function check(instance) {
+  try {
+    return compareMatchings(galeShapley(instance), await runCircuit(instance));
+  } catch (err) {
+    return [`circuit failed: ${err.message.split("\n")[0]}`];
+  }
+}
+
+// Drop student or college `id` from a roster, renumbering the ones after it
+const withoutId = (list, id) => list.filter(other => other !== id).map(other => (other > id ? other - 1 : other));
+
+// Smaller variants of an instance, most aggressive first
+function* shrinkCandidates(instance) {
+  const { studentPrefs, collegePrefs, collegeCapacities } = instance;
+  if (instance.mode === "permuted") {
+    const { permutationSeed, ...rest } = instance;
+    yield { ...rest, mode: "direct" };
+  }
+  for (let s = 0; s < studentPrefs.length && studentPrefs.length > 1; s++) {
+    yield {
+      ...instance,
+      studentPrefs: studentPrefs.filter((_, i) => i !== s),
+      collegePrefs: collegePrefs.map(list => withoutId(list, s))
+    };
+  }
+  for (let c = 0; c < collegePrefs.length && collegePrefs.length > 1; c++) {
+    yield {
+      ...instance,
+      studentPrefs: studentPrefs.map(list => withoutId(list, c)),
+      collegePrefs: collegePrefs.filter((_, i) => i !== c),
+      collegeCapacities: collegeCapacities.filter((_, i) => i !== c)
+    };
+  }
+  for (const key of ["studentPrefs", "collegePrefs"]) {
+    for (let owner = 0; owner < instance[key].length; owner++) {
+      for (let i = 0; i < instance[key][owner].length; i++) {
+        yield {
+          ...instance,
+          [key]: instance[key].map((list, o) => (o === owner ? list.filter((_, j) => j !== i) : list))
+        };
+      }
+    }
+  }
+  for (let c = 0; c < collegeCapacities.length; c++) {
+    if (collegeCapacities[c] > 0) {
+      yield { ...instance, collegeCapacities: collegeCapacities.map((cap, i) => (i === c ? cap - 1 : cap)) };
+    }
+  }
+}
+
+// Greedy shrinking: take the first smaller variant that still disagrees, until none does
+async function shrink(instance, differences) {
+  let current = { instance, differences };
+  for (let improved = true; improved;) {
+    improved = false;
+    for (const candidate of shrinkCandidates(current.instance)) {
+      const candidateDifferences = await check(candidate);
+      if (candidateDifferences.length > 0) {
+        current = { instance: candidate, differences: candidateDifferences };
+        improved = true;
+        console.log(`  shrunk to ${candidate.studentPrefs.length} students, ${candidate.collegePrefs.length} colleges`);
+        break;
+      }
+    }
+  }
+  return current;
+}
+
+async function saveFixture(dir, fixture) {
+  const id = createHash("sha256").update(JSON.stringify(fixture.instance)).digest("hex").slice(0, 12);
+  const path = join(dir, `mismatch-${id}.json`);
+  await mkdir(dir, { recursive: true });
+  await writeFile(path, JSON.stringify(fixture, null, 2) + "\n");
+  return path;
+}
+
+async function fuzz({ runs, seed, fixtures }) {
+  const random = createRandom(seed);
+  let failures = 0;
+  for (let run = 0; run < runs; run++) {
+    const instance = randomInstance(random);
+    const differences = await check(instance);
+    if (differences.length === 0) continue;
+
+    failures++;
+    console.log(`Run ${run}: circuit disagrees with the reference, shrinking...`);
+    const minimal = await shrink(instance, differences);
+    const path = await saveFixture(fixtures, {
+      found: { seed, run },
+      expected: galeShapley(minimal.instance),
+      differences: minimal.differences,
+      instance: minimal.instance
+    });
+    minimal.differences.forEach(difference => console.log(`  ${difference}`));
+    console.log(`  saved ${path}`);
+  }
+  console.log(`${runs} runs from seed ${seed}: ${failures} mismatches`);
+  return failures === 0 ? 0 : 1;
+}
+
+// Re-check every saved fixture, e.g. after fixing the circuit
+async function replay({ fixtures }) {
+  const files = (await readdir(fixtures).catch(() => [])).filter(file => file.endsWith(".json")).sort();
+  let failures = 0;
+  for (const file of files) {
+    const { instance } = JSON.parse(await readFile(join(fixtures, file), "utf8"));
+    const differences = await check(instance);
+    console.log(`${differences.length === 0 ? "pass" : "FAIL"} ${file}`);
+    differences.forEach(difference => console.log(`  ${difference}`));
+    if (differences.length > 0) failures++;
+  }
+  console.log(`${files.length} fixtures: ${failures} failing`);
+  return failures === 0 ? 0 : 1;
+}
+
+const { values } = parseArgs({
+  options: {
+    runs: { type: "string", default: "50" },
+    seed: { type: "string", default: String(Date.now() % 2 ** 32) },
+    fixtures: { type: "string", default: "scripts/fixtures" },
+    replay: { type: "boolean", default: false }
+  }
+});
+
+// bb.js keeps worker threads alive, so exit explicitly once done
+(values.replay
+  ? replay(values)
+  : fuzz({ runs: Number(values.runs), seed: Number(values.seed), fixtures: values.fixtures })
+).then(
+  code => process.exit(code),
+  err => {
+    console.error(err);
+    process.exit(1);
+  }
+);
@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+// Checks the JS hashes (src/hash.js) against the outputs Noir's std library
+// gives for the same inputs. Commitments, Merkle trees and admission proofs
+// all assume the two agree, so a bb.js or circomlibjs upgrade that changes
+// a hash must fail here, not in a proof.
+//
+//   npm run test:hashes
+import { TEST_VECTORS, checkTestVectors } from "../src/hash.js";
+
+const failures = await checkTestVectors();
+failures.forEach(failure => console.error(`  ${failure}`));
+if (failures.length > 0) {
+  console.error(`Hashes disagree with Noir on ${failures.length} test vectors ❌`);
+  process.exit(1);
+}
+console.log(`All ${TEST_VECTORS.length} test vectors match Noir's pedersen, poseidon and poseidon2 ✅`);
+process.exit(0);
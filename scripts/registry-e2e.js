@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+// End-to-end check of on-chain root publication, against an in-process EVM:
+// prove a round, export the circuit's Solidity verifier, deploy it with
+// contracts/ZkUniRegistry.sol and publish the round's Merkle root.
+//
+//   npm run test:registry
+//
+// Needs no network: it proves and verifies with the test CRS from
+// scripts/test-crs.js, never the Ignition CRS.
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { Common, Hardfork, Mainnet } from "@ethereumjs/common";
+import { createLegacyTx } from "@ethereumjs/tx";
+import { Address, bytesToHex } from "@ethereumjs/util";
+import { createVM, runTx } from "@ethereumjs/vm";
+import { Wallet } from "@ethereumjs/wallet";
+import solc from "solc";
+import {
+  buildMerkleTree,
+  configureBackend,
+  decodeRegistryError,
+  decodeRound,
+  decryptForStudent,
+  deriveMatchNonces,
+  derivePublicKey,
+  encodePublishRoundCalldata,
+  encodeRegistryDeployment,
+  encodeRoundCalldata,
+  encodeRoundCountCalldata,
+  encodeVerifyCalldata,
+  getSolidityVerifier,
+  matchCommitment,
+  prepareInputs,
+  proofCommitment,
+  prove,
+  recoverMatchNonce,
+  verify
+} from "../src/index.js";
+import circuit from "../circuit/target/circuit.json" with { type: "json" };
+import { toBigInt } from "../src/grumpkin.js";
+import { ensureTestCrs, useTestCrs } from "./test-crs.js";
+
+const GAS_LIMIT = 30_000_000n;
+const common = new Common({ chain: Mainnet, hardfork: Hardfork.Cancun });
+
+function compile(sources) {
+  const output = JSON.parse(solc.compile(JSON.stringify({
+    language: "Solidity",
+    sources: Object.fromEntries(Object.entries(sources).map(([name, content]) => [name, { content }])),
+    settings: {
+      optimizer: { enabled: true, runs: 1 },
+      evmVersion: "cancun",
+      outputSelection: { "*": { "*": ["evm.bytecode.object"] } }
+    }
+  })));
+  const errors = (output.errors ?? []).filter(error => error.severity === "error");
+  if (errors.length > 0) throw new Error(errors.map(error => error.formattedMessage).join("\n"));
+  return output.contracts;
+}
+
+// A fresh in-process chain with a coordinator account sending signed
+// transactions. Balances aren't checked, so any wallet can send.
+async function createChain() {
+  const vm = await createVM({ common, evmOpts: { allowUnlimitedContractSize: true } });
+  const wallet = Wallet.generate();
+  const address = new Address(wallet.getAddress());
+
+  const send = async (data, to, from = wallet) => {
+    const sender = new Address(from.getAddress());
+    const nonce = (await vm.stateManager.getAccount(sender))?.nonce ?? 0n;
+    const tx = createLegacyTx({ nonce, gasLimit: GAS_LIMIT, gasPrice: 10n, data, to }, { common })
+      .sign(from.getPrivateKey());
+    const { execResult, createdAddress } = await runTx(vm, { tx, skipBalance: true, skipBlockGasLimitValidation: true });
+    return { reverted: execResult.exceptionError !== undefined, returnData: execResult.returnValue, createdAddress };
+  };
+
+  const call = async (data, to) => {
+    const { execResult } = await vm.evm.runCall({ caller: address, to, data, gasLimit: GAS_LIMIT });
+    if (execResult.exceptionError) throw new Error(`call reverted: ${bytesToHex(execResult.returnValue)}`);
+    return execResult.returnValue;
+  };
+
+  const deploy = async data => {
+    const { reverted, createdAddress } = await send(data);
+    if (reverted) throw new Error("deployment reverted");
+    return createdAddress;
+  };
+
+  return { vm, wallet, send, call, deploy };
+}
+
+// The round every run publishes: three colleges, five students
+async function proveRound() {
+  const studentPrivateKeys = [1n, 2n, 3n, 4n, 5n];
+  const roster = {
+    studentPrefs: [[0, 1, 2], [1, 0, 2], [1, 2, 0], [0, 2, 1], [2, 0, 1]],
+    collegePrefs: [[1, 3, 0, 2, 4], [2, 0, 4, 1, 3], [0, 2, 3, 4, 1]],
+    collegeCapacities: [3, 1, 1],
+    studentPublicKeys: studentPrivateKeys.map(derivePublicKey),
+    collegePublicKeys: [6n, 7n, 8n].map(derivePublicKey)
+  };
+  const prepared = await prepareInputs(roster);
+  const proof = await prove(prepared, { keccak: true });
+  const { valid, matchResults } = await verify(proof, { commitment: prepared.commitment, keccak: true });
+  assert.ok(valid, "keccak proof does not verify in bb.js");
+
+  // The admission tree over every student's match, as the UI builds it, with
+  // nonces agreed with each student's key
+  const maps = prepared.permutation.maps;
+  const { nonceKey, nonces } = await deriveMatchNonces(roster.studentPublicKeys);
+  const leaves = await Promise.all(studentPrivateKeys.map((privateKey, studentId) =>
+    matchCommitment(studentId, decryptForStudent(matchResults, { maps, studentId, privateKey }), nonces[studentId])));
+  for (const [studentId, privateKey] of studentPrivateKeys.entries()) {
+    assert.equal(await recoverMatchNonce({ nonceKey, studentId, privateKey }), nonces[studentId]);
+  }
+  const { root } = await buildMerkleTree(leaves);
+  return { proof, merkleRoot: root };
+}
+
+async function main() {
+  configureBackend({ crsPath: await ensureTestCrs() });
+  console.log("Proving round (keccak transcript)...");
+  const { proof, merkleRoot } = await proveRound();
+  const inputCommitment = proofCommitment(circuit.abi, proof.publicInputs);
+
+  console.log("Compiling HonkVerifier and ZkUniRegistry...");
+  const contracts = compile({
+    "HonkVerifier.sol": useTestCrs(await getSolidityVerifier()),
+    "ZkUniRegistry.sol": await readFile(new URL("../contracts/ZkUniRegistry.sol", import.meta.url), "utf8")
+  });
+  const verifierCode = contracts["HonkVerifier.sol"].HonkVerifier.evm.bytecode.object;
+  const registryCode = contracts["ZkUniRegistry.sol"].ZkUniRegistry.evm.bytecode.object;
+
+  const chain = await createChain();
+  const verifier = await chain.deploy(Uint8Array.from(Buffer.from(verifierCode, "hex")));
+  const registry = await chain.deploy(encodeRegistryDeployment(registryCode, verifier.toString()));
+  console.log(`Deployed verifier at ${verifier} and registry at ${registry}`);
+
+  const verified = await chain.call(encodeVerifyCalldata(proof), verifier);
+  assert.equal(toBigInt(bytesToHex(verified)), 1n, "HonkVerifier rejects the proof");
+  console.log("HonkVerifier accepts the proof ✅");
+
+  // Only the coordinator can publish
+  const outsider = await chain.send(encodePublishRoundCalldata(proof, merkleRoot), registry, Wallet.generate());
+  assert.equal(decodeRegistryError(outsider.returnData), "NotCoordinator");
+  console.log("Publishing from another account rejected ✅");
+
+  // A tampered proof never reaches storage
+  const tampered = { ...proof, proof: Uint8Array.from(proof.proof, (byte, i) => (i === 200 ? byte ^ 1 : byte)) };
+  assert.ok((await chain.send(encodePublishRoundCalldata(tampered, merkleRoot), registry)).reverted,
+    "registry accepted a tampered proof");
+  console.log("Tampered proof rejected ✅");
+
+  const published = await chain.send(encodePublishRoundCalldata(proof, merkleRoot), registry);
+  assert.ok(!published.reverted, `publishRound reverted: ${decodeRegistryError(published.returnData)}`);
+  const round = decodeRound(await chain.call(encodeRoundCalldata(0), registry));
+  assert.equal(round.coordinatorMerkleRoot, toBigInt(merkleRoot));
+  assert.equal(round.inputCommitment, inputCommitment);
+  assert.equal(toBigInt(bytesToHex(await chain.call(encodeRoundCountCalldata(), registry))), 1n);
+  console.log("Round 0 stored with its input commitment and the coordinator's Merkle root ✅");
+
+  const again = await chain.send(encodePublishRoundCalldata(proof, merkleRoot), registry);
+  assert.equal(decodeRegistryError(again.returnData), "AlreadyPublished");
+  console.log("Republishing the same round rejected ✅");
+}
+
+// bb.js keeps worker threads alive, so exit explicitly once done
+main().then(
+  () => process.exit(0),
+  err => {
+    console.error(err);
+    process.exit(1);
+  }
+);
@@ -0,0 +1,126 @@
+// Test-only structured reference string for bb.js, so proving tests run
+// without downloading the Aztec Ignition CRS. It is generated from the known
+// trapdoor tau = 2 ([2^i]G1 and [2]G2), so anyone can forge proofs against
+// it: use it for tests and nothing else.
+//
+//   configureBackend({ crsPath: await ensureTestCrs() });
+//   const source = useTestCrs(await getSolidityVerifier());
+//
+// Files are written once in bb.js's cache layout (bn254_g1.dat, 64 bytes per
+// point; bn254_g2.dat, 128 bytes) under os.tmpdir(), never in ~/.bb-crs.
+import { mkdir, rename, stat, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+// BN254 base field
+const P = 21888242871839275222246405745257275088696311157297823662689037894645226208583n;
+// Enough points for the matching circuit's 2^20 subgroup, plus one
+export const TEST_CRS_POINTS = 2 ** 20 + 1;
+export const TEST_CRS_PATH = join(tmpdir(), "zkuni-test-crs");
+
+const mod = a => ((a % P) + P) % P;
+function invert(a) {
+  let [r, newR, t, newT] = [P, mod(a), 0n, 1n];
+  while (newR !== 0n) {
+    const q = r / newR;
+    [r, newR] = [newR, r - q * newR];
+    [t, newT] = [newT, t - q * newT];
+  }
+  return mod(t);
+}
+const be32 = n => Buffer.from(n.toString(16).padStart(64, "0"), "hex");
+
+// [2^i]G1 for i < count: Jacobian doublings, normalised in batches with one
+// inversion each
+function g1Points(count) {
+  const out = Buffer.alloc(count * 64);
+  let [X, Y, Z] = [1n, 2n, 1n];
+  const BATCH = 4096;
+  for (let start = 0; start < count; start += BATCH) {
+    const batch = [];
+    for (let i = start; i < Math.min(start + BATCH, count); i++) {
+      batch.push([X, Y, Z]);
+      // dbl-2009-l (a = 0)
+      const A = mod(X * X);
+      const B = mod(Y * Y);
+      const C = mod(B * B);
+      const D = mod(2n * (mod((X + B) * (X + B)) - A - C));
+      const E = mod(3n * A);
+      const F = mod(E * E);
+      const X3 = mod(F - 2n * D);
+      [X, Y, Z] = [X3, mod(E * (D - X3) - 8n * C), mod(2n * Y * Z)];
+    }
+    // Batch inversion of the Z coordinates
+    const prefix = [];
+    let acc = 1n;
+    for (const [, , z] of batch) {
+      prefix.push(acc);
+      acc = mod(acc * z);
+    }
+    let inv = invert(acc);
+    for (let i = batch.length - 1; i >= 0; i--) {
+      const [x, y, z] = batch[i];
+      const zInv = mod(inv * prefix[i]);
+      inv = mod(inv * z);
+      const zInv2 = mod(zInv * zInv);
+      be32(mod(x * zInv2)).copy(out, (start + i) * 64);
+      be32(mod(y * zInv2 * zInv)).copy(out, (start + i) * 64 + 32);
+    }
+  }
+  return out;
+}
+
+// [2]G2, doubling in Fq2 = Fq[i]/(i^2 + 1)
+function g2Point() {
+  const mul = ([a, b], [c, d]) => [mod(a * c - b * d), mod(a * d + b * c)];
+  const add = ([a, b], [c, d]) => [mod(a + c), mod(b + d)];
+  const sub = ([a, b], [c, d]) => [mod(a - c), mod(b - d)];
+  const inv = ([a, b]) => {
+    const norm = invert(mod(a * a + b * b));
+    return [mod(a * norm), mod(-b * norm)];
+  };
+  const x = [10857046999023057135944570762232829481370756359578518086990519993285655852781n,
+    11559732032986387107991004021392285783925812861821192530917403151452391805634n];
+  const y = [8495653923123431417604973247489272438418190587263600148770280649306958101930n,
+    4082367875863433681332203403145435568316851327593401208105741076214120093531n];
+  const x2 = mul(x, x);
+  const lambda = mul(add(add(x2, x2), x2), inv(add(y, y)));
+  const x3 = sub(mul(lambda, lambda), add(x, x));
+  const y3 = sub(mul(lambda, sub(x, x3)), y);
+  return [...x3, ...y3];
+}
+
+// [x]G2 of the Ignition CRS, which bb's Solidity verifier hardcodes, in the
+// pairing precompile's word order (x.c1, x.c0, y.c1, y.c0)
+const IGNITION_X_G2 = [
+  "0x260e01b251f6f1c7e7ff4e580791dee8ea51d87a358e038b4efe30fac09383c1",
+  "0x0118c4d5b837bcc2bc89b5b398b5974e9f5944073b32078b7e231fec938883b0",
+  "0x04fc6369f7110fe3d25156c1bb9a72859cf2a04641f99ba4ee413c80da6a5fe4",
+  "0x22febda3c0c0632a56475b4214e5615e11e6dd3f96e6cea2854a87d4dacc5e55"
+];
+
+// A Solidity verifier from getSolidityVerifier(), pairing against the test
+// CRS's [2]G2 instead of Ignition's
+export function useTestCrs(verifierSource) {
+  const [x0, x1, y0, y1] = g2Point();
+  const words = [x1, x0, y1, y0].map(n => `0x${n.toString(16).padStart(64, "0")}`);
+  if (!IGNITION_X_G2.every(word => verifierSource.includes(word))) {
+    throw new Error("verifier source does not pair against the Ignition CRS");
+  }
+  return IGNITION_X_G2.reduce((source, word, i) => source.replace(word, words[i]), verifierSource);
+}
+
+const size = path => stat(path).then(stats => stats.size, () => 0);
+
+// Write the test CRS to `path` unless it is already there; resolves to `path`
+export async function ensureTestCrs(path = TEST_CRS_PATH) {
+  const g1Path = join(path, "bn254_g1.dat");
+  const g2Path = join(path, "bn254_g2.dat");
+  if ((await size(g1Path)) >= TEST_CRS_POINTS * 64 && (await size(g2Path)) === 128) return path;
+  await mkdir(path, { recursive: true });
+  for (const [target, data] of [[g2Path, Buffer.concat(g2Point().map(be32))], [g1Path, g1Points(TEST_CRS_POINTS)]]) {
+    await writeFile(`${target}.${process.pid}.tmp`, data);
+    await rename(`${target}.${process.pid}.tmp`, target);
+  }
+  return path;
+}
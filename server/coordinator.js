@@ -0,0 +1,602 @@
+// Local coordinator service: runs matching rounds over HTTP, so students,
+// colleges and the prover no longer share one browser tab. Round state lives
+// in JSON files under `dataDir`/rounds/<round>/ and survives restarts:
+//   state.json    participants, commitments, sealed reveals, status and report
+//   secrets.json  the round's submission key, permutation and nonce seeds (the
+//                 permutation seed is revealed once the round is published)
+//   results.json  encrypted MatchResults
+//   bundle.json   proof bundle (src/bundle.js), unless the round was a dry run
+//
+// Routes (JSON in and out; "coordinator" and "participant" need a bearer token):
+//   POST /rounds                          coordinator  { round, commitDeadline, revealDeadline }
+//   GET  /rounds/:round                   anyone       status, commitments and report
+//   POST /rounds/:round/participants      anyone       { role, name, publicKey } -> { id, token }
+//   PUT  /rounds/:round/commitment        participant  { commitment }
+//   PUT  /rounds/:round/reveal            participant  sealed submission with salt (src/submission.js)
+//   POST /rounds/:round/close             coordinator  end the current phase before its deadline
+//   POST /rounds/:round/prove             coordinator  { dryRun } -> 202, poll the status
+//   GET  /rounds/:round/keys              anyone       key registry snapshot (src/key-registry.js)
+//   GET  /rounds/:round/bundle            anyone       proof bundle
+//   GET  /rounds/:round/ciphertext        participant  the caller's own ciphertexts
+//
+// A round goes open -> committed -> revealed -> proving -> published (or
+// failed, and back to revealed to retry). While open, participants register
+// and publish a preference commitment (src/commitment.js); at the commit
+// deadline the keys are frozen and each participant reveals the ranking and
+// salt behind their commitment, sealed to the round's submission key and
+// signed with their registered key. Phases end at their deadlines, checked
+// whenever the round is touched, or earlier when the coordinator closes them.
+//
+// Reveals are only signature-checked on arrival and decrypted in memory while
+// proving, so neither the files nor the logs hold rankings in plaintext.
+// Missing, late and mismatched reveals rank no one and are listed in the
+// round report. The proof's `committed_inputs` covers the root of every
+// accepted commitment, so anyone can check that the published matching was
+// computed from exactly what was committed.
+import { createHash, randomBytes, timingSafeEqual } from "node:crypto";
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { createServer } from "node:http";
+import { join } from "node:path";
+import circuit from "../circuit/target/circuit.json" with { type: "json" };
+import {
+  MAX_COLLEGE_CAPACITY,
+  MAX_PREFS,
+  N_COLLEGE_QUOTA,
+  N_STUDENT_PREFERENCE,
+  activeKey,
+  addParticipantKey,
+  buildRoster,
+  commitPermutationSeed,
+  createBundle,
+  createKeyRegistry,
+  decodeMatchResults,
+  execute,
+  exportBundleJson,
+  generatePermutationMaps,
+  generateKeyPair,
+  generatePermutationSeed,
+  openSubmission,
+  preferenceCommitment,
+  prepareInputs,
+  prove,
+  snapshotRegistry,
+  submissionProblems
+} from "../src/index.js";
+import { randomScalar } from "../src/elgamal.js";
+import { FIELD_MODULUS, toBigInt, toHex } from "../src/grumpkin.js";
+
+const MAX_BODY_BYTES = 1 << 20;
+const ROUND_ID = /^[A-Za-z0-9._-]{1,64}$/;
+const LIMITS = { student: N_STUDENT_PREFERENCE, college: N_COLLEGE_QUOTA };
+
+export class HttpError extends Error {
+  constructor(status, errors) {
+    super(errors.join("; "));
+    this.name = "HttpError";
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+const hashToken = token => createHash("sha256").update(token).digest();
+const other = role => (role === "student" ? "college" : "student");
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, ["request body too large"]));
+        req.destroy();
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      const text = Buffer.concat(chunks).toString("utf8");
+      try {
+        resolve(text === "" ? {} : JSON.parse(text));
+      } catch {
+        reject(new HttpError(400, ["request body is not JSON"]));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+async function writeJsonAtomic(path, value, mode = 0o644) {
+  const temporary = `${path}.${process.pid}.tmp`;
+  await writeFile(temporary, JSON.stringify(value, null, 2) + "\n", { mode });
+  await rename(temporary, path);
+}
+
+// Everything wrong with a revealed ranking, against who registered
+function rankingProblems(state, role, ranking) {
+  const problems = [];
+  const { preferences } = ranking;
+  const names = new Set(state.participants[other(role)].map(entry => entry.name));
+  const limit = role === "student" ? MAX_PREFS : N_STUDENT_PREFERENCE;
+  if (!Array.isArray(preferences)) return [`preferences must be a list of ${other(role)} names`];
+  if (preferences.length > limit) problems.push(`ranks ${preferences.length} ${other(role)}s, the circuit allows ${limit}`);
+  if (new Set(preferences).size !== preferences.length) problems.push("ranks the same name twice");
+  for (const name of preferences) {
+    if (!names.has(name)) problems.push(`unknown ${other(role)} ${JSON.stringify(name)}`);
+  }
+  if (role === "college") {
+    const { capacity } = ranking;
+    if (!Number.isInteger(capacity) || capacity < 0 || capacity > MAX_COLLEGE_CAPACITY) {
+      problems.push(`capacity must be an integer from 0 to ${MAX_COLLEGE_CAPACITY}`);
+    }
+  }
+  return problems;
+}
+
+// What anyone may see of a round
+function publicStatus(state, secrets) {
+  const names = role => state.participants[role].map(entry => entry.name);
+  const commitments = role => state.participants[role].map(entry => entry.commitment);
+  const revealed = role => state.participants[role].filter(entry => entry.reveal !== null).length;
+  return {
+    round: state.round,
+    status: state.status,
+    createdAt: state.createdAt,
+    commitDeadline: state.commitDeadline,
+    revealDeadline: state.revealDeadline,
+    students: names("student"),
+    colleges: names("college"),
+    commitments: { students: commitments("student"), colleges: commitments("college") },
+    revealed: { students: revealed("student"), colleges: revealed("college") },
+    lateReveals: state.lateReveals,
+    submissionPublicKey: state.submissionPublicKey,
+    keySnapshotCommitment: state.keySnapshot?.commitment ?? null,
+    permutationSeedCommitment: state.permutationSeedCommitment,
+    inputCommitment: state.inputCommitment ?? null,
+    inputsDigest: state.inputsDigest ?? null,
+    preferencesRoot: state.preferencesRoot ?? null,
+    report: state.report ?? null,
+    dryRun: state.dryRun ?? null,
+    permutationSeed: state.status === "published" ? secrets.permutationSeed : null,
+    error: state.error ?? null
+  };
+}
+
+// A phase deadline from a request body, as an ISO timestamp
+function deadline(body, field) {
+  const time = typeof body[field] === "string" ? Date.parse(body[field]) : NaN;
+  if (Number.isNaN(time)) throw new HttpError(400, [`${field} must be an ISO 8601 date`]);
+  return new Date(time).toISOString();
+}
+
+// A round name from the request path; bad percent-encoding is the client's fault
+function decodeRoundName(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    throw new HttpError(400, [`round ${JSON.stringify(segment)} is not valid percent-encoding`]);
+  }
+}
+
+export function createCoordinator({ dataDir, coordinatorToken, log = console.log }) {
+  const coordinatorHash = hashToken(coordinatorToken);
+  const queues = new Map();
+  const jobs = new Map();
+
+  const roundDir = round => join(dataDir, "rounds", round);
+  const file = (round, name) => join(roundDir(round), name);
+  const readJson = async path => JSON.parse(await readFile(path, "utf8"));
+
+  // Run `operation` after every earlier one on the same round
+  function exclusive(round, operation) {
+    const next = (queues.get(round) ?? Promise.resolve()).then(operation);
+    queues.set(round, next.catch(() => {}));
+    return next;
+  }
+
+  async function load(round) {
+    if (!ROUND_ID.test(round)) throw new HttpError(404, [`no round ${JSON.stringify(round)}`]);
+    let state;
+    try {
+      state = await readJson(file(round, "state.json"));
+    } catch (err) {
+      if (err.code === "ENOENT") throw new HttpError(404, [`no round ${JSON.stringify(round)}`]);
+      throw err;
+    }
+    // A proof that was running when the server stopped never finishes
+    if (state.status === "proving" && !jobs.has(round)) {
+      Object.assign(state, { status: "revealed", error: "proving was interrupted; start it again" });
+    }
+    // Phases whose deadline has passed are over, whether or not anyone asked
+    if (state.status === "open" && Date.now() >= Date.parse(state.commitDeadline)) {
+      await endCommitPhase(state, state.commitDeadline);
+    }
+    if (state.status === "committed" && Date.now() >= Date.parse(state.revealDeadline)) {
+      endRevealPhase(state, state.revealDeadline);
+    }
+    return state;
+  }
+
+  // Freeze registration and commitments, with the keys reveals are checked against
+  async function endCommitPhase(state, at) {
+    state.keySnapshot = await snapshotRegistry(state.registry, { round: state.round, createdAt: at });
+    Object.assign(state, { status: "committed", committedAt: at });
+  }
+
+  function endRevealPhase(state, at) {
+    Object.assign(state, { status: "revealed", revealedAt: at });
+  }
+
+  const save = state => writeJsonAtomic(file(state.round, "state.json"), state);
+  const loadSecrets = round => readJson(file(round, "secrets.json"));
+
+  function requireCoordinator(req) {
+    const token = /^Bearer (.+)$/.exec(req.headers.authorization ?? "")?.[1];
+    if (token === undefined) throw new HttpError(401, ["missing bearer token"]);
+    if (!timingSafeEqual(hashToken(token), coordinatorHash)) throw new HttpError(403, ["coordinator only"]);
+  }
+
+  // The registered participant behind the request's bearer token
+  function requireParticipant(req, state) {
+    const token = /^Bearer (.+)$/.exec(req.headers.authorization ?? "")?.[1];
+    if (token === undefined) throw new HttpError(401, ["missing bearer token"]);
+    const hash = hashToken(token);
+    for (const role of ["student", "college"]) {
+      const id = state.participants[role].findIndex(entry => timingSafeEqual(Buffer.from(entry.tokenHash, "hex"), hash));
+      if (id !== -1) return { role, id, entry: state.participants[role][id] };
+    }
+    throw new HttpError(403, ["not a participant of this round"]);
+  }
+
+  function requireStatus(state, ...allowed) {
+    if (!allowed.includes(state.status)) {
+      throw new HttpError(409, [`round ${state.round} is ${state.status}, expected ${allowed.join(" or ")}`]);
+    }
+  }
+
+  async function createRound(req, body) {
+    requireCoordinator(req);
+    const { round } = body;
+    if (typeof round !== "string" || !ROUND_ID.test(round)) {
+      throw new HttpError(400, ["round must be 1-64 letters, digits, dots, dashes or underscores"]);
+    }
+    const commitDeadline = deadline(body, "commitDeadline");
+    const revealDeadline = deadline(body, "revealDeadline");
+    if (Date.parse(commitDeadline) <= Date.now()) throw new HttpError(400, ["commitDeadline has already passed"]);
+    if (Date.parse(revealDeadline) <= Date.parse(commitDeadline)) {
+      throw new HttpError(400, ["revealDeadline must come after commitDeadline"]);
+    }
+    return exclusive(round, async () => {
+      try {
+        await load(round);
+        throw new HttpError(409, [`round ${round} already exists`]);
+      } catch (err) {
+        if (err.status !== 404) throw err;
+      }
+      // Participants seal their reveals to this round's key. The permutation
+      // seed is committed to before anyone commits to a ranking.
+      const { privateKey, publicKey } = generateKeyPair();
+      const permutationSeed = generatePermutationSeed();
+      const state = {
+        round,
+        status: "open",
+        createdAt: new Date().toISOString(),
+        commitDeadline,
+        revealDeadline,
+        participants: { student: [], college: [] },
+        registry: createKeyRegistry(),
+        submissionPublicKey: publicKey,
+        permutationSeedCommitment: toHex(await commitPermutationSeed(permutationSeed)),
+        lateReveals: []
+      };
+      const secrets = { submissionKey: toHex(privateKey), permutationSeed, nonceSeed: toHex(randomScalar()) };
+      await mkdir(roundDir(round), { recursive: true });
+      await writeJsonAtomic(file(round, "secrets.json"), secrets, 0o600);
+      await save(state);
+      return [201, publicStatus(state, {})];
+    });
+  }
+
+  async function roundStatus(req, body, round) {
+    const state = await load(round);
+    return [200, publicStatus(state, state.status === "published" ? await loadSecrets(round) : {})];
+  }
+
+  async function register(req, body, round) {
+    const { role, name, publicKey } = body;
+    if (!(role in LIMITS)) throw new HttpError(400, [`role must be "student" or "college"`]);
+    if (typeof name !== "string" || name.trim() === "") throw new HttpError(400, ["name must be a non-empty string"]);
+    return exclusive(round, async () => {
+      const state = await load(round);
+      requireStatus(state, "open");
+      const entries = state.participants[role];
+      if (entries.some(entry => entry.name === name.trim())) throw new HttpError(409, [`${role} ${JSON.stringify(name)} is already registered`]);
+      if (entries.length >= LIMITS[role]) throw new HttpError(409, [`the circuit holds ${LIMITS[role]} ${role}s`]);
+
+      const id = entries.length;
+      try {
+        state.registry = await addParticipantKey(state.registry, { role, id }, publicKey, { name: name.trim() });
+      } catch (err) {
+        throw new HttpError(400, err.errors ?? [err.message]);
+      }
+      const token = randomBytes(32).toString("hex");
+      entries.push({
+        name: name.trim(),
+        tokenHash: hashToken(token).toString("hex"),
+        commitment: null,
+        reveal: null
+      });
+      await save(state);
+      return [201, { role, id, token }];
+    });
+  }
+
+  // Publish a preference commitment; a later one replaces it until the deadline
+  async function commit(req, body, round) {
+    let commitment;
+    try {
+      commitment = toBigInt(body.commitment);
+      if (commitment < 0n || commitment >= FIELD_MODULUS) throw new RangeError();
+    } catch {
+      throw new HttpError(400, ["commitment must be a field element"]);
+    }
+    return exclusive(round, async () => {
+      const state = await load(round);
+      const { role, id, entry } = requireParticipant(req, state);
+      requireStatus(state, "open");
+      entry.commitment = toHex(commitment);
+      await save(state);
+      return [200, { role, id, commitment: entry.commitment }];
+    });
+  }
+
+  // Store a sealed reveal once its signature checks out; a later one replaces
+  // it until the deadline. Whether it matches the commitment is only known
+  // once it's opened, while proving.
+  async function reveal(req, body, round) {
+    return exclusive(round, async () => {
+      const state = await load(round);
+      const { role, id, entry } = requireParticipant(req, state);
+      if (["revealed", "proving", "published", "failed"].includes(state.status)) {
+        if (entry.commitment !== null && entry.reveal === null && !state.lateReveals.some(late => late.role === role && late.id === id)) {
+          state.lateReveals.push({ role, id, name: entry.name, at: new Date().toISOString() });
+          await save(state);
+        }
+        throw new HttpError(409, [`the reveal deadline of round ${round} has passed`]);
+      }
+      requireStatus(state, "committed");
+      if (entry.commitment === null) throw new HttpError(409, [`${role} ${id} did not commit to a ranking`]);
+      const { publicKey } = activeKey(state.registry, { role, id });
+      const problems = await submissionProblems(body, { publicKey, round, role, id, recipient: state.submissionPublicKey });
+      if (problems.length > 0) throw new HttpError(400, problems);
+      entry.reveal = body;
+      await save(state);
+      return [200, { role, id, revealed: true }];
+    });
+  }
+
+  // End the current phase before its deadline
+  async function closePhase(req, body, round) {
+    requireCoordinator(req);
+    return exclusive(round, async () => {
+      const state = await load(round);
+      requireStatus(state, "open", "committed");
+      const now = new Date().toISOString();
+      if (state.status === "open") {
+        await endCommitPhase(state, now);
+      } else {
+        endRevealPhase(state, now);
+      }
+      await save(state);
+      return [200, publicStatus(state, {})];
+    });
+  }
+
+  // Why a participant's reveal doesn't count, or its ranking (with names
+  // turned into ids) and salt
+  async function checkReveal(state, submissionKey, role, id) {
+    const entry = state.participants[role][id];
+    if (entry.commitment === null) return { reason: "did not commit" };
+    if (entry.reveal === null) {
+      const late = state.lateReveals.some(attempt => attempt.role === role && attempt.id === id);
+      return { reason: late ? "revealed after the deadline" : "did not reveal" };
+    }
+    let ranking;
+    try {
+      const { publicKey } = activeKey(state.registry, { role, id });
+      ranking = await openSubmission(entry.reveal, { privateKey: submissionKey, publicKey });
+    } catch (err) {
+      return { reason: err.errors?.join("; ") ?? "could not be opened" };
+    }
+    if (ranking.salt === undefined || rankingProblems(state, role, ranking).length > 0) {
+      return { reason: "ranking does not fit this round" };
+    }
+    const others = state.participants[other(role)].map(({ name }) => name);
+    const preferences = ranking.preferences.map(name => others.indexOf(name));
+    const salt = toBigInt(ranking.salt);
+    const commitment = await preferenceCommitment({ role, id, preferences, capacity: ranking.capacity ?? 0 }, salt);
+    if (toHex(commitment) !== entry.commitment) return { reason: "reveal does not match its commitment" };
+    return { ranking, salt };
+  }
+
+  // Decrypt every reveal into the roster, ids in registration order. Only
+  // called while proving; the plaintext never leaves memory. A participant
+  // whose reveal doesn't count ranks no one, with salt 0, and is listed in
+  // the report without the reveal's contents.
+  async function openRoster(state, submissionKey) {
+    const report = { accepted: { students: [], colleges: [] }, rejected: [] };
+    const entities = { student: [], college: [] };
+    const salts = { student: [], college: [] };
+    for (const role of ["student", "college"]) {
+      for (const [id, { name }] of state.participants[role].entries()) {
+        const { ranking, salt, reason } = await checkReveal(state, submissionKey, role, id);
+        if (reason === undefined) {
+          entities[role].push({ name, preferences: ranking.preferences, ...(role === "college" && { capacity: ranking.capacity }) });
+          salts[role].push(salt);
+          report.accepted[`${role}s`].push(id);
+        } else {
+          entities[role].push({ name, preferences: [], ...(role === "college" && { capacity: 0 }) });
+          salts[role].push(0n);
+          report.rejected.push({ role, id, name, reason });
+        }
+      }
+    }
+    const { roster } = buildRoster({ students: entities.student, colleges: entities.college });
+    return {
+      roster: {
+        ...roster,
+        studentSalts: salts.student,
+        collegeSalts: salts.college,
+        studentPublicKeys: state.keySnapshot.studentPublicKeys,
+        collegePublicKeys: state.keySnapshot.collegePublicKeys
+      },
+      report
+    };
+  }
+
+  async function runProof(round, dryRun) {
+    try {
+      const state = await load(round);
+      const { permutationSeed, nonceSeed, submissionKey } = await loadSecrets(round);
+      const { roster, report } = await openRoster(state, submissionKey);
+      const prepared = await prepareInputs(roster, { permutationSeed, nonceSeed });
+      let matchResults;
+      if (dryRun) {
+        matchResults = await execute(prepared);
+      } else {
+        const proof = await prove(prepared);
+        matchResults = decodeMatchResults(circuit.abi, proof.publicInputs);
+        await writeFile(file(round, "bundle.json"), exportBundleJson(await createBundle(proof)) + "\n");
+      }
+      await writeJsonAtomic(file(round, "results.json"), matchResults);
+      await exclusive(round, async () => {
+        const current = await load(round);
+        Object.assign(current, {
+          status: "published",
+          publishedAt: new Date().toISOString(),
+          inputCommitment: toHex(prepared.commitment),
+          inputsDigest: toHex(prepared.inputsDigest),
+          preferencesRoot: toHex(prepared.preferencesRoot),
+          report,
+          error: null
+        });
+        await save(current);
+      });
+      log(`Round ${round} ${dryRun ? "executed (dry run)" : "proved"}`);
+    } catch (err) {
+      log(`Round ${round} failed: ${err.message}`);
+      await exclusive(round, async () => {
+        const current = await load(round);
+        Object.assign(current, { status: "failed", error: err.message });
+        await save(current);
+      });
+    }
+  }
+
+  async function startProving(req, body, round) {
+    requireCoordinator(req);
+    const dryRun = body.dryRun === true;
+    return exclusive(round, async () => {
+      const state = await load(round);
+      requireStatus(state, "revealed", "failed");
+      if (state.participants.student.length === 0 || state.participants.college.length === 0) {
+        throw new HttpError(409, ["a round needs at least one student and one college"]);
+      }
+      Object.assign(state, { status: "proving", dryRun, error: null });
+      await save(state);
+      // Proving starts now but outside the queue, so it doesn't hold up other
+      // requests; the "proving" status keeps them from changing the round, and
+      // runProof queues again only to record the outcome. Poll the status for it.
+      const job = runProof(round, dryRun).finally(() => jobs.delete(round));
+      jobs.set(round, job);
+      return [202, publicStatus(state, {})];
+    });
+  }
+
+  async function keySnapshot(req, body, round) {
+    const state = await load(round);
+    if (!state.keySnapshot) throw new HttpError(409, [`round ${round} is still taking commitments`]);
+    return [200, state.keySnapshot];
+  }
+
+  async function bundle(req, body, round) {
+    const state = await load(round);
+    requireStatus(state, "published");
+    if (state.dryRun) throw new HttpError(404, [`round ${round} was a dry run and has no proof`]);
+    return [200, JSON.parse(await readFile(file(round, "bundle.json"), "utf8"))];
+  }
+
+  // Only the caller's ciphertexts, with the slot they sit in
+  async function ciphertext(req, body, round) {
+    const state = await load(round);
+    const { role, id } = requireParticipant(req, state);
+    requireStatus(state, "published");
+    const matchResults = await readJson(file(round, "results.json"));
+    const { permutationSeed } = await loadSecrets(round);
+    const maps = generatePermutationMaps(permutationSeed, N_STUDENT_PREFERENCE, N_COLLEGE_QUOTA);
+    if (role === "student") {
+      const slot = maps.studentIdMap[id];
+      return [200, { role, id, slot, ciphertext: matchResults.student_matches[slot] }];
+    }
+    const slot = maps.collegeIdMap[id];
+    return [200, { role, id, slot, ciphertexts: matchResults.college_matches[slot] }];
+  }
+
+  const routes = [
+    ["POST", /^\/rounds$/, createRound],
+    ["GET", /^\/rounds\/([^/]+)$/, roundStatus],
+    ["POST", /^\/rounds\/([^/]+)\/participants$/, register],
+    ["PUT", /^\/rounds\/([^/]+)\/commitment$/, commit],
+    ["PUT", /^\/rounds\/([^/]+)\/reveal$/, reveal],
+    ["POST", /^\/rounds\/([^/]+)\/close$/, closePhase],
+    ["POST", /^\/rounds\/([^/]+)\/prove$/, startProving],
+    ["GET", /^\/rounds\/([^/]+)\/keys$/, keySnapshot],
+    ["GET", /^\/rounds\/([^/]+)\/bundle$/, bundle],
+    ["GET", /^\/rounds\/([^/]+)\/ciphertext$/, ciphertext]
+  ];
+
+  async function handle(req, res) {
+    let status;
+    let payload;
+    try {
+      const { pathname } = new URL(req.url, "http://localhost");
+      const matching = routes.filter(([, pattern]) => pattern.test(pathname));
+      const route = matching.find(([method]) => method === req.method);
+      if (!route) throw new HttpError(matching.length > 0 ? 405 : 404, [`no route for ${req.method} ${pathname}`]);
+      const [, pattern, handler] = route;
+      const [, round] = pattern.exec(pathname);
+      const body = req.method === "GET" ? {} : await readBody(req);
+      [status, payload] = await handler(req, body, round === undefined ? undefined : decodeRoundName(round));
+    } catch (err) {
+      status = err instanceof HttpError ? err.status : 500;
+      payload = { error: err.message, errors: err.errors ?? [err.message] };
+      if (status === 500) log(err);
+    }
+    log(`${req.method} ${req.url} ${status}`);
+    res.writeHead(status, { "content-type": "application/json" });
+    res.end(JSON.stringify(payload));
+  }
+
+  // Resolves once every proof started so far has finished
+  const settled = () => Promise.all([...jobs.values()]);
+
+  return { handle, settled };
+}
+
+// Start the coordinator on `port` (0 picks a free one). Resolves to
+// { url, close }; close() waits for running proofs before shutting down.
+export async function serveCoordinator({ dataDir, coordinatorToken, port = 8080, host = "127.0.0.1", log = console.log }) {
+  const coordinator = createCoordinator({ dataDir, coordinatorToken, log });
+  const server = createServer((req, res) => coordinator.handle(req, res));
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+  const { port: bound } = server.address();
+  return {
+    url: `http://${host}:${bound}`,
+    close: async () => {
+      await coordinator.settled();
+      await new Promise(resolve => server.close(resolve));
+    }
+  };
+}
@@ -0,0 +1,153 @@
+// Validate and encode circuit inputs against `circuit.abi.parameters`, so a bad
+// input is reported by name instead of surfacing as an opaque ACVM failure.
+import { FIELD_MODULUS, toBigInt, toHex } from "./grumpkin.js";
+
+export class AbiValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid circuit inputs:\n  ${errors.join("\n  ")}`);
+    this.name = "AbiValidationError";
+    this.errors = errors;
+  }
+}
+
+const describe = type => {
+  switch (type.kind) {
+    case "integer": return `${type.sign === "signed" ? "i" : "u"}${type.width}`;
+    case "array": return `[${describe(type.type)}; ${type.length}]`;
+    case "struct": return type.path;
+    default: return type.kind;
+  }
+};
+
+function parseNumber(value) {
+  if (typeof value === "number" && !Number.isInteger(value)) return null;
+  try {
+    return toBigInt(value);
+  } catch {
+    return null;
+  }
+}
+
+// Walk `value` against `type`, pushing problems onto `errors` and returning
+// the encoded value (undefined when the value is unusable)
+function check(type, value, path, errors) {
+  if (value === undefined || value === null) {
+    errors.push(`${path} missing`);
+    return undefined;
+  }
+
+  switch (type.kind) {
+    case "field": {
+      const n = typeof value === "boolean" ? null : parseNumber(value);
+      if (n === null) {
+        errors.push(`${path} expected a field element, got ${JSON.stringify(value)}`);
+      } else if (n < 0n || n >= FIELD_MODULUS) {
+        errors.push(`${path} is outside the field range`);
+      } else {
+        return toHex(n);
+      }
+      return undefined;
+    }
+
+    case "integer": {
+      const n = typeof value === "boolean" ? null : parseNumber(value);
+      const width = BigInt(type.width);
+      const [min, max] = type.sign === "signed"
+        ? [-(1n << (width - 1n)), (1n << (width - 1n)) - 1n]
+        : [0n, (1n << width) - 1n];
+      if (n === null) {
+        errors.push(`${path} expected ${describe(type)}, got ${JSON.stringify(value)}`);
+      } else if (n < min || n > max) {
+        errors.push(`${path} value ${n} does not fit in ${describe(type)}`);
+      } else {
+        return n.toString();
+      }
+      return undefined;
+    }
+
+    case "boolean":
+      if (typeof value !== "boolean") {
+        errors.push(`${path} expected boolean, got ${JSON.stringify(value)}`);
+        return undefined;
+      }
+      return value;
+
+    case "string":
+      if (typeof value !== "string" || value.length !== type.length) {
+        errors.push(`${path} expected a string of length ${type.length}`);
+        return undefined;
+      }
+      return value;
+
+    case "array":
+      if (!Array.isArray(value)) {
+        errors.push(`${path} expected ${describe(type)}, got ${typeof value}`);
+        return undefined;
+      }
+      if (value.length !== type.length) {
+        errors.push(`${path} expected length ${type.length}, got ${value.length}`);
+        return undefined;
+      }
+      return value.map((item, i) => check(type.type, item, `${path}[${i}]`, errors));
+
+    case "tuple":
+      if (!Array.isArray(value) || value.length !== type.fields.length) {
+        errors.push(`${path} expected a tuple of ${type.fields.length} elements`);
+        return undefined;
+      }
+      return type.fields.map((fieldType, i) => check(fieldType, value[i], `${path}.${i}`, errors));
+
+    case "struct": {
+      if (typeof value !== "object" || Array.isArray(value)) {
+        errors.push(`${path} expected ${describe(type)}, got ${Array.isArray(value) ? "array" : typeof value}`);
+        return undefined;
+      }
+      const encoded = {};
+      for (const field of type.fields) {
+        encoded[field.name] = check(field.type, value[field.name], `${path}.${field.name}`, errors);
+      }
+      for (const name of Object.keys(value)) {
+        if (!type.fields.some(field => field.name === name)) {
+          errors.push(`${path}.${name} is not a field of ${type.path}`);
+        }
+      }
+      return encoded;
+    }
+
+    default:
+      errors.push(`${path} has unsupported ABI type ${type.kind}`);
+      return undefined;
+  }
+}
+
+function walk(abi, inputs) {
+  const errors = [];
+  const encoded = {};
+
+  if (!inputs || typeof inputs !== "object") {
+    return { errors: ["inputs must be an object"], encoded };
+  }
+
+  for (const param of abi.parameters) {
+    encoded[param.name] = check(param.type, inputs[param.name], param.name, errors);
+  }
+  for (const name of Object.keys(inputs)) {
+    if (!abi.parameters.some(param => param.name === name)) {
+      errors.push(`${name} is not a circuit parameter`);
+    }
+  }
+
+  return { errors, encoded };
+}
+
+// List every mismatch between `inputs` and the ABI; empty when valid
+export function validateInputs(abi, inputs) {
+  return walk(abi, inputs).errors;
+}
+
+// Validate and return an input map ready for `noir.execute`
+export function encodeInputs(abi, inputs) {
+  const { errors, encoded } = walk(abi, inputs);
+  if (errors.length > 0) throw new AbiValidationError(errors);
+  return encoded;
+}
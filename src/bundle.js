@@ -0,0 +1,307 @@
+// Proof bundles: everything an outside auditor needs to check a round, with no
+// witness or private inputs. A bundle is
+//   { version, circuit: { hash, noirVersion }, inputCommitment,
+//     publicInputs, proof, verificationKey, merkleRoot }
+// and travels either as JSON (hex-encoded bytes) or in a compact binary form:
+//   "ZKUB" | u8 version | u16 len + circuit hash | u16 len + noir version
+//   | 32-byte input commitment | u32 count + 32 bytes per public input
+//   | u32 len + proof | u32 len + verification key
+//   | u8 has merkle root [+ 32-byte merkle root]          (version 2 only)
+// with all integers big-endian.
+//
+// `merkleRoot` is the root of the admission tree (see merkle.js), published
+// alongside the proof. The matching proof does not cover it, so it is null
+// when unknown and version 1 bundles never carry one.
+import { BarretenbergVerifier } from "@aztec/bb.js";
+import circuit from "../circuit/target/circuit.json" with { type: "json" };
+import { proofCommitment } from "./commitment.js";
+import { FIELD_MODULUS, toBigInt, toHex } from "./grumpkin.js";
+import { circuitInfo, getVerificationKey, verify } from "./matching.js";
+import { decodePublicInputs } from "./results.js";
+
+export const BUNDLE_VERSION = 2;
+const SUPPORTED_VERSIONS = [1, 2];
+export const BUNDLE_FORMAT = "zkuni-proof-bundle";
+const MAGIC = [0x5a, 0x4b, 0x55, 0x42]; // "ZKUB"
+const FIELD_BYTES = 32;
+
+export class BundleFormatError extends Error {
+  constructor(errors) {
+    super(`Invalid proof bundle:\n  ${errors.join("\n  ")}`);
+    this.name = "BundleFormatError";
+    this.errors = errors;
+  }
+}
+
+const bytesToHex = bytes => "0x" + Array.from(bytes, b => b.toString(16).padStart(2, "0")).join("");
+
+function hexToBytes(hex) {
+  const digits = hex.startsWith("0x") ? hex.slice(2) : hex;
+  if (digits.length % 2 !== 0 || /[^0-9a-f]/i.test(digits)) throw new Error("not a hex byte string");
+  return Uint8Array.from(digits.match(/../g) ?? [], byte => parseInt(byte, 16));
+}
+
+const bytesEqual = (a, b) => a.length === b.length && a.every((byte, i) => byte === b[i]);
+
+// Bundle a freshly generated proof for this circuit
+export async function createBundle(proofData, { merkleRoot = null } = {}) {
+  return {
+    version: BUNDLE_VERSION,
+    circuit: { ...circuitInfo },
+    inputCommitment: proofCommitment(circuit.abi, proofData.publicInputs),
+    publicInputs: proofData.publicInputs.map(toHex),
+    proof: new Uint8Array(proofData.proof),
+    verificationKey: new Uint8Array(await getVerificationKey()),
+    merkleRoot: merkleRoot === null ? null : toBigInt(merkleRoot)
+  };
+}
+
+// The { proof, publicInputs } pair bb.js works with
+export const bundleProofData = bundle => ({ proof: bundle.proof, publicInputs: bundle.publicInputs });
+
+export function exportBundleJson(bundle) {
+  return JSON.stringify({
+    format: BUNDLE_FORMAT,
+    version: bundle.version,
+    circuit: bundle.circuit,
+    inputCommitment: toHex(bundle.inputCommitment),
+    publicInputs: bundle.publicInputs,
+    proof: bytesToHex(bundle.proof),
+    verificationKey: bytesToHex(bundle.verificationKey),
+    merkleRoot: bundle.merkleRoot === null ? null : toHex(bundle.merkleRoot)
+  }, null, 2);
+}
+
+export function importBundleJson(text) {
+  let json;
+  try {
+    json = typeof text === "string" ? JSON.parse(text) : text;
+  } catch (err) {
+    throw new BundleFormatError([`not JSON: ${err.message}`]);
+  }
+
+  const errors = [];
+  if (json?.format !== BUNDLE_FORMAT) errors.push(`format must be "${BUNDLE_FORMAT}"`);
+  if (!SUPPORTED_VERSIONS.includes(json?.version)) {
+    errors.push(`unsupported version ${json?.version}, expected one of ${SUPPORTED_VERSIONS.join(", ")}`);
+  }
+  if (errors.length > 0) throw new BundleFormatError(errors);
+
+  const field = (value, name) => {
+    try {
+      const n = toBigInt(value);
+      if (n >= 0n && n < FIELD_MODULUS) return n;
+    } catch {}
+    errors.push(`${name} is not a field element`);
+    return 0n;
+  };
+  const bytes = (value, name) => {
+    try {
+      return hexToBytes(value);
+    } catch {
+      errors.push(`${name} is not a hex byte string`);
+      return new Uint8Array();
+    }
+  };
+
+  if (typeof json.circuit?.hash !== "string" || typeof json.circuit?.noirVersion !== "string") {
+    errors.push("circuit must have string hash and noirVersion");
+  }
+  if (!Array.isArray(json.publicInputs)) errors.push("publicInputs must be an array");
+
+  const bundle = {
+    version: json.version,
+    circuit: { hash: json.circuit?.hash, noirVersion: json.circuit?.noirVersion },
+    inputCommitment: field(json.inputCommitment, "inputCommitment"),
+    publicInputs: (json.publicInputs ?? []).map((value, i) => toHex(field(value, `publicInputs[${i}]`))),
+    proof: bytes(json.proof, "proof"),
+    verificationKey: bytes(json.verificationKey, "verificationKey"),
+    merkleRoot: json.merkleRoot == null ? null : field(json.merkleRoot, "merkleRoot")
+  };
+  if (errors.length > 0) throw new BundleFormatError(errors);
+  return bundle;
+}
+
+export function exportBundleBinary(bundle) {
+  const encoder = new TextEncoder();
+  const hash = encoder.encode(bundle.circuit.hash);
+  const noirVersion = encoder.encode(bundle.circuit.noirVersion);
+  const size = MAGIC.length + 1
+    + 2 + hash.length + 2 + noirVersion.length
+    + FIELD_BYTES
+    + 4 + bundle.publicInputs.length * FIELD_BYTES
+    + 4 + bundle.proof.length + 4 + bundle.verificationKey.length
+    + (bundle.version >= 2 ? 1 + (bundle.merkleRoot === null ? 0 : FIELD_BYTES) : 0);
+
+  const out = new Uint8Array(size);
+  const view = new DataView(out.buffer);
+  let offset = 0;
+  const put = bytes => {
+    out.set(bytes, offset);
+    offset += bytes.length;
+  };
+  const putField = value => put(hexToBytes(toHex(value)));
+
+  put(MAGIC);
+  view.setUint8(offset++, bundle.version);
+  for (const text of [hash, noirVersion]) {
+    view.setUint16(offset, text.length);
+    offset += 2;
+    put(text);
+  }
+  putField(bundle.inputCommitment);
+  view.setUint32(offset, bundle.publicInputs.length);
+  offset += 4;
+  bundle.publicInputs.forEach(putField);
+  for (const bytes of [bundle.proof, bundle.verificationKey]) {
+    view.setUint32(offset, bytes.length);
+    offset += 4;
+    put(bytes);
+  }
+  if (bundle.version >= 2) {
+    view.setUint8(offset++, bundle.merkleRoot === null ? 0 : 1);
+    if (bundle.merkleRoot !== null) putField(bundle.merkleRoot);
+  }
+  return out;
+}
+
+export function importBundleBinary(data) {
+  const bytes = new Uint8Array(data);
+  const decoder = new TextDecoder();
+  let offset = 0;
+  const take = length => {
+    if (offset + length > bytes.length) throw new BundleFormatError([`truncated at byte ${offset}`]);
+    const slice = bytes.slice(offset, offset + length);
+    offset += length;
+    return slice;
+  };
+  const takeUint = width => {
+    const slice = take(width);
+    return width === 2 ? new DataView(slice.buffer).getUint16(0) : new DataView(slice.buffer).getUint32(0);
+  };
+  const takeField = () => toHex(bytesToHex(take(FIELD_BYTES)));
+
+  if (!bytesEqual(take(MAGIC.length), MAGIC)) throw new BundleFormatError(["missing ZKUB header"]);
+  const version = take(1)[0];
+  if (!SUPPORTED_VERSIONS.includes(version)) {
+    throw new BundleFormatError([`unsupported version ${version}, expected one of ${SUPPORTED_VERSIONS.join(", ")}`]);
+  }
+  const hash = decoder.decode(take(takeUint(2)));
+  const noirVersion = decoder.decode(take(takeUint(2)));
+  const inputCommitment = toBigInt(takeField());
+  const publicInputs = Array.from({ length: takeUint(4) }, takeField);
+  const proof = take(takeUint(4));
+  const verificationKey = take(takeUint(4));
+  const merkleRoot = version >= 2 && take(1)[0] === 1 ? toBigInt(takeField()) : null;
+  if (offset !== bytes.length) throw new BundleFormatError([`${bytes.length - offset} trailing bytes`]);
+
+  return { version, circuit: { hash, noirVersion }, inputCommitment, publicInputs, proof, verificationKey, merkleRoot };
+}
+
+// Binary bundles start with "ZKUB"; anything else is taken to be JSON
+export function importBundle(data) {
+  if (typeof data === "string") return importBundleJson(data);
+  const bytes = new Uint8Array(data);
+  if (bytesEqual(bytes.subarray(0, MAGIC.length), MAGIC)) return importBundleBinary(bytes);
+  return importBundleJson(new TextDecoder().decode(bytes));
+}
+
+// Problems with a bundle that show without running the verifier: a different
+// circuit, or a commitment that disagrees with its public inputs or `commitment`
+function bundleProblems(bundle, commitment) {
+  if (bundle.circuit.hash !== circuitInfo.hash || bundle.circuit.noirVersion !== circuitInfo.noirVersion) {
+    return [
+      `bundle is for circuit ${bundle.circuit.hash} (noir ${bundle.circuit.noirVersion}), ` +
+      `this verifier has ${circuitInfo.hash} (noir ${circuitInfo.noirVersion})`
+    ];
+  }
+  let carried;
+  try {
+    carried = proofCommitment(circuit.abi, bundle.publicInputs);
+  } catch (err) {
+    return [`public inputs do not match the circuit ABI: ${err.message}`];
+  }
+  const problems = [];
+  if (carried !== toBigInt(bundle.inputCommitment)) {
+    problems.push("bundle inputCommitment does not match the commitment in its public inputs");
+  }
+  if (commitment !== undefined && carried !== toBigInt(commitment)) {
+    problems.push(`proof commits to ${toHex(carried)}, expected ${toHex(commitment)}`);
+  }
+  return problems;
+}
+
+// Check a bundle using only what it carries: the proof, its public inputs and
+// the compiled circuit. `commitment` optionally pins the round to a published
+// input commitment. `problems` lists every reason the bundle was rejected.
+export async function verifyBundle(bundle, { commitment } = {}) {
+  const problems = bundleProblems(bundle, commitment);
+  if (problems.length > 0) return { valid: false, problems };
+
+  if (!bytesEqual(new Uint8Array(await getVerificationKey()), bundle.verificationKey)) {
+    problems.push("bundle verification key does not belong to this circuit");
+  }
+  const { valid, commitment: carried, matchResults } = await verify(bundleProofData(bundle));
+  if (!valid) problems.push("proof does not verify");
+  return { valid: problems.length === 0, problems, commitment: carried, matchResults };
+}
+
+// Like verifyBundle, but checks the proof against a verification key alone,
+// without loading the circuit bytecode. The key must come from outside the
+// bundle: pass the published `verificationKey`, or the published `fingerprint`
+// of it. A bundle carrying any other key is rejected.
+export async function verifyBundleWithKey(bundle, { commitment, verificationKey, fingerprint } = {}) {
+  if (verificationKey === undefined && fingerprint === undefined) {
+    throw new Error("verifyBundleWithKey needs a trusted verificationKey or fingerprint");
+  }
+  const problems = bundleProblems(bundle, commitment);
+  if (problems.length > 0) return { valid: false, problems };
+
+  if (verificationKey !== undefined && !bytesEqual(new Uint8Array(verificationKey), bundle.verificationKey)) {
+    problems.push("bundle verification key is not the trusted one");
+  }
+  if (fingerprint !== undefined) {
+    const carried = await verificationKeyFingerprint(bundle.verificationKey);
+    if (carried !== fingerprint.toLowerCase()) {
+      problems.push(`bundle verification key fingerprint ${carried} is not the published ${fingerprint}`);
+    }
+  }
+  if (problems.length > 0) return { valid: false, problems };
+
+  const verifier = new BarretenbergVerifier();
+  try {
+    if (!(await verifier.verifyUltraHonkProof(bundleProofData(bundle), bundle.verificationKey))) {
+      problems.push("proof does not verify");
+    }
+  } finally {
+    await verifier.destroy();
+  }
+  const { inputs, returnValue } = decodePublicInputs(circuit.abi, bundle.publicInputs);
+  return {
+    valid: problems.length === 0,
+    problems,
+    commitment: toBigInt(inputs.committed_inputs),
+    matchResults: returnValue
+  };
+}
+
+// SHA-256 of a verification key, short enough to publish and compare by eye
+export async function verificationKeyFingerprint(verificationKey) {
+  const digest = await globalThis.crypto.subtle.digest("SHA-256", new Uint8Array(verificationKey));
+  return bytesToHex(new Uint8Array(digest));
+}
+
+// Problems with a published fingerprint record ({ circuit, fingerprint }, as
+// `zkuni vk` writes it): no fingerprint, or one recorded for another circuit
+export function publishedFingerprintProblems(published) {
+  const problems = [];
+  if (typeof published?.fingerprint !== "string" || !/^0x[0-9a-f]{64}$/i.test(published.fingerprint)) {
+    problems.push("no verification key fingerprint has been published");
+  }
+  const { hash, noirVersion } = published?.circuit ?? {};
+  if (hash !== circuitInfo.hash || noirVersion !== circuitInfo.noirVersion) {
+    problems.push(`fingerprint is for circuit ${hash} (noir ${noirVersion}), ` +
+      `not ${circuitInfo.hash} (noir ${circuitInfo.noirVersion})`);
+  }
+  return problems;
+}
@@ -0,0 +1,121 @@
+// The matching circuit's `committed_inputs`, which circuit/src/main.nr
+// recomputes and checks:
+//   pedersen_hash([inputs digest, preferences root])
+// The inputs digest is a pedersen hash over all of the circuit's private
+// inputs (`commit_inputs`). The preferences root is a pedersen hash over every
+// participant's preference commitment, recomputed in the circuit from the
+// rankings it matches on (`preferences_root`). A proof is therefore bound to
+// exactly the inputs behind a published commitment, and to the rankings
+// participants committed to. Anyone can read the commitment back out of the
+// proof, and check the root against published preference commitments given
+// the inputs digest.
+import { encodeInputs } from "./abi.js";
+import { MAX_PREFS, N_COLLEGE_QUOTA, N_STUDENT_PREFERENCE, UNMATCHED } from "./constants.js";
+import { toBigInt } from "./grumpkin.js";
+import { pedersenHash } from "./hash.js";
+import { decodePublicInputs } from "./results.js";
+
+export const COMMITMENT_PARAMETER = "committed_inputs";
+
+function flatten(type, value, fields) {
+  switch (type.kind) {
+    case "array":
+      value.forEach(item => flatten(type.type, item, fields));
+      break;
+    case "struct":
+      type.fields.forEach(field => flatten(field.type, value[field.name], fields));
+      break;
+    default:
+      fields.push(toBigInt(value));
+  }
+}
+
+// Canonical serialisation: every private parameter in ABI order, arrays
+// row-major and struct members in declaration order (points as x, y, is_infinite)
+export function commitmentFields(abi, inputs) {
+  const encoded = encodeInputs(abi, { ...inputs, [COMMITMENT_PARAMETER]: 0 });
+  const fields = [];
+  for (const param of abi.parameters) {
+    if (param.visibility === "private") flatten(param.type, encoded[param.name], fields);
+  }
+  return fields;
+}
+
+export async function inputsDigest(abi, inputs) {
+  return pedersenHash(commitmentFields(abi, inputs));
+}
+
+const ROLE_TAGS = { student: 0n, college: 1n };
+
+// A participant's commitment to their ranking, in original ids:
+//   student: pedersen_hash([0, id, prefs padded to MAX_PREFS, salt])
+//   college: pedersen_hash([1, id, prefs padded to N_STUDENT_PREFERENCE, capacity, salt])
+// Padding goes at the end, as the circuit sees it. A participant who ranks
+// no one, or whose ranking was rejected, counts as an empty ranking with salt 0.
+export async function preferenceCommitment({ role, id, preferences = [], capacity = 0 }, salt = 0n) {
+  const length = role === "student" ? MAX_PREFS : N_STUDENT_PREFERENCE;
+  const ids = preferences.map(Number).filter(pref => pref !== UNMATCHED);
+  const padded = [...ids, ...Array(length - ids.length).fill(UNMATCHED)];
+  const tail = role === "student" ? [salt] : [capacity, salt];
+  return pedersenHash([ROLE_TAGS[role], id, ...padded, ...tail]);
+}
+
+// Root over every slot's preference commitment, students then colleges by
+// original id. Missing or null entries count as empty rankings.
+export async function preferencesRoot({ student = [], college = [] }) {
+  const fill = (role, commitments, count) => Promise.all(Array.from({ length: count }, (_, id) =>
+    commitments[id] ?? preferenceCommitment({ role, id })));
+  return pedersenHash([
+    ...await fill("student", student, N_STUDENT_PREFERENCE),
+    ...await fill("college", college, N_COLLEGE_QUOTA)
+  ]);
+}
+
+// The preferences root of circuit inputs, mapping the permuted rankings back
+// to original ids the way `preferences_root` does
+export async function inputsPreferencesRoot(inputs) {
+  const studentIdMap = inputs.student_id_map.map(Number);
+  const collegeIdMap = inputs.college_id_map.map(Number);
+  const original = (permuted, idMap) => {
+    const value = Number(toBigInt(permuted));
+    return value === UNMATCHED ? UNMATCHED : idMap.indexOf(value);
+  };
+  const commitments = { student: [], college: [] };
+  for (const [id, slot] of studentIdMap.entries()) {
+    const preferences = inputs.permuted_student_prefs[slot].map(pref => original(pref, collegeIdMap));
+    commitments.student.push(await preferenceCommitment({ role: "student", id, preferences }, toBigInt(inputs.student_salts[id])));
+  }
+  for (const [id, slot] of collegeIdMap.entries()) {
+    const preferences = inputs.permuted_college_prefs[slot].map(pref => original(pref, studentIdMap));
+    const capacity = toBigInt(inputs.college_capacities[slot]);
+    commitments.college.push(await preferenceCommitment({ role: "college", id, preferences, capacity }, toBigInt(inputs.college_salts[id])));
+  }
+  return preferencesRoot(commitments);
+}
+
+// `committed_inputs` from its two parts; with a published inputs digest,
+// anyone can check a proof's commitment against a preferences root
+export async function combineInputCommitment(digest, root) {
+  return pedersenHash([digest, root]);
+}
+
+export async function computeInputCommitment(abi, inputs) {
+  return combineInputCommitment(await inputsDigest(abi, inputs), await inputsPreferencesRoot(inputs));
+}
+
+// Circuit inputs with `committed_inputs` filled in from the rest
+export async function withInputCommitment(abi, inputs) {
+  return { ...inputs, [COMMITMENT_PARAMETER]: await computeInputCommitment(abi, inputs) };
+}
+
+// The commitment a proof was generated against
+export function proofCommitment(abi, publicInputs) {
+  const { inputs } = decodePublicInputs(abi, publicInputs);
+  return toBigInt(inputs[COMMITMENT_PARAMETER]);
+}
+
+// Whether a proof is bound to `commitment`. This only compares public inputs;
+// the proof itself still has to be verified.
+export function matchesCommitment(abi, proofData, commitment) {
+  return proofCommitment(abi, proofData.publicInputs) === toBigInt(commitment);
+}
@@ -0,0 +1,7 @@
+// Sizes and sentinels baked into the matching circuit; these mirror the
+// globals at the top of circuit/src/main.nr and must change with them.
+export const N_STUDENT_PREFERENCE = 5;
+export const N_COLLEGE_QUOTA = 5;
+export const MAX_PREFS = 5;
+export const MAX_COLLEGE_CAPACITY = 3;
+export const UNMATCHED = 999;
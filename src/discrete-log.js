@@ -0,0 +1,60 @@
+// Baby-step giant-step discrete log on Grumpkin, mirroring
+// `baby_giant_unconstrained` in circuit/src/elgamal.nr.
+import { GENERATOR, INFINITY, add, multiply, negate } from "./grumpkin.js";
+
+// Matches `global BITS_DL` in the matching circuit
+export const BITS_DL = 16;
+
+// Baby-step tables are expensive to build and identical for every
+// ciphertext of a given bit-length, so keep one per BITS_DL
+const tables = new Map();
+
+const pointKey = point => point.is_infinite ? "inf" : `${point.x}:${point.y}`;
+
+function getTable(bits) {
+  let table = tables.get(bits);
+  if (table) return table;
+
+  // The circuit splits the bits evenly between baby and giant steps. Here
+  // the baby-step table is built once and reused, so it takes the larger
+  // share and each decryption only walks a handful of giant steps.
+  const giantBits = Math.floor(bits / 4);
+  const babyCount = 2 ** (bits - giantBits);
+  const giantCount = 2 ** giantBits;
+
+  // j*G for j in 0..babyCount
+  const babySteps = new Map();
+  let runner = INFINITY;
+  for (let j = 0; j < babyCount; j++) {
+    babySteps.set(pointKey(runner), j);
+    runner = add(runner, GENERATOR);
+  }
+
+  table = {
+    babyCount,
+    giantCount,
+    babySteps,
+    giantStride: negate(multiply(GENERATOR, BigInt(babyCount)))
+  };
+  tables.set(bits, table);
+  return table;
+}
+
+// Recover m from m*G, for m < 2^bits. Throws if the point is outside that range.
+export function solveDiscreteLog(point, bits = BITS_DL) {
+  const { babyCount, giantCount, babySteps, giantStride } = getTable(bits);
+
+  let runner = point;
+  for (let i = 0; i < giantCount; i++) {
+    const j = babySteps.get(pointKey(runner));
+    if (j !== undefined) return i * babyCount + j;
+    runner = add(runner, giantStride);
+  }
+
+  throw new Error(`No discrete log found within ${bits} bits; wrong key or corrupted ciphertext`);
+}
+
+// Build the table ahead of time, e.g. before decrypting a whole cohort
+export function precomputeDiscreteLogTable(bits = BITS_DL) {
+  getTable(bits);
+}
@@ -0,0 +1,64 @@
+// Exponential ElGamal on Grumpkin, mirroring `ElGamalCiphered` in circuit/src/elgamal.nr.
+// Keys and ciphertexts use the same `EmbeddedCurvePoint` shape as the circuit ABI.
+import { BITS_DL, solveDiscreteLog } from "./discrete-log.js";
+import {
+  FIELD_MODULUS,
+  add,
+  fixedBaseScalarMul,
+  fromNoir,
+  multiply,
+  subtract,
+  toBigInt,
+  toNoir
+} from "./grumpkin.js";
+
+// Draw a uniformly random non-zero Field element to use as a private key
+export function randomScalar() {
+  const bytes = new Uint8Array(32);
+  for (;;) {
+    globalThis.crypto.getRandomValues(bytes);
+    bytes[0] &= 0x3f; // FIELD_MODULUS < 2^254, keep rejection rate low
+    const value = BigInt("0x" + Array.from(bytes, b => b.toString(16).padStart(2, "0")).join(""));
+    if (value > 0n && value < FIELD_MODULUS) return value;
+  }
+}
+
+// Public key for a private key, formatted for `permuted_*_public_keys`
+export function derivePublicKey(privateKey) {
+  return toNoir(fixedBaseScalarMul(toBigInt(privateKey)));
+}
+
+// Generate a fresh ElGamal key pair on the circuit's embedded curve
+export function generateKeyPair() {
+  const privateKey = randomScalar();
+  return { privateKey, publicKey: derivePublicKey(privateKey) };
+}
+
+// Encrypt a small integer the same way `ElGamalCiphered::new` does
+export function encrypt(publicKey, plaintext, randomness = randomScalar()) {
+  const pk = fromNoir(publicKey);
+  const r = toBigInt(randomness);
+  const c1 = fixedBaseScalarMul(r);
+  const c2 = add(multiply(pk, r), fixedBaseScalarMul(toBigInt(plaintext)));
+  return { c1: toNoir(c1), c2: toNoir(c2) };
+}
+
+// Strip the shared secret and return the plaintext embedded as m*G
+export function decryptToPoint(ciphertext, privateKey) {
+  const c1 = fromNoir(ciphertext.c1);
+  const c2 = fromNoir(ciphertext.c2);
+  const sharedSecret = multiply(c1, toBigInt(privateKey));
+  return subtract(c2, sharedSecret);
+}
+
+// Decrypt a ciphertext produced by the circuit. Returns null for the
+// placeholder ciphertexts the circuit emits for unused slots and throws
+// if the plaintext does not fit in `bits` (wrong key or bad ciphertext).
+export function decrypt(ciphertext, privateKey, bits = BITS_DL) {
+  if (!ciphertext || !ciphertext.c1 || !ciphertext.c2) {
+    throw new Error("Invalid ciphertext: expected { c1, c2 }");
+  }
+  if (fromNoir(ciphertext.c1).is_infinite) return null;
+
+  return solveDiscreteLog(decryptToPoint(ciphertext, privateKey), bits);
+}
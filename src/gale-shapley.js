@@ -0,0 +1,74 @@
+// Reference student-proposing deferred acceptance (Gale–Shapley) with
+// per-college capacities. Takes a roster indexed by original ids (see
+// matching.js; public keys are not needed) and returns the student-optimal
+// stable matching in the circuit's MatchResults shape, in plaintext:
+//   student_matches[s]  college id, or UNMATCHED
+//   college_matches[c]  admitted students in the college's order of
+//                       preference, padded with UNMATCHED to its capacity
+// UNMATCHED entries in preference lists are padding, and a college never
+// admits a student it didn't rank. Inputs are left untouched, and free
+// students propose lowest id first, so the result is deterministic.
+import { UNMATCHED } from "./constants.js";
+
+const ranked = list => list.map(Number).filter(id => id !== UNMATCHED);
+const label = id => (id === UNMATCHED ? "none" : id);
+
+export function galeShapley({ studentPrefs, collegePrefs, collegeCapacities }) {
+  const choices = studentPrefs.map(ranked);
+  const ranks = collegePrefs.map(list => new Map(ranked(list).map((s, rank) => [s, rank])));
+  const capacities = collegeCapacities.map(Number);
+
+  const nextChoice = choices.map(() => 0);
+  const studentMatches = choices.map(() => UNMATCHED);
+  const held = collegePrefs.map(() => []);
+  const free = choices.map((_, s) => s);
+
+  while (free.length > 0) {
+    const s = free.shift();
+    while (studentMatches[s] === UNMATCHED && nextChoice[s] < choices[s].length) {
+      const c = choices[s][nextChoice[s]++];
+      const rank = ranks[c]?.get(s);
+      if (rank === undefined || !(capacities[c] > 0)) continue;
+
+      if (held[c].length < capacities[c]) {
+        held[c].push(s);
+        studentMatches[s] = c;
+        continue;
+      }
+      // Full: bump the least preferred student held, if s ranks above them
+      const worst = held[c].reduce((a, b) => (ranks[c].get(a) > ranks[c].get(b) ? a : b));
+      if (rank < ranks[c].get(worst)) {
+        held[c][held[c].indexOf(worst)] = s;
+        studentMatches[s] = c;
+        studentMatches[worst] = UNMATCHED;
+        free.push(worst);
+      }
+    }
+  }
+
+  const collegeMatches = held.map((students, c) => {
+    const seats = [...students].sort((a, b) => ranks[c].get(a) - ranks[c].get(b));
+    return [...seats, ...Array(Math.max(capacities[c] - seats.length, 0)).fill(UNMATCHED)];
+  });
+  return { student_matches: studentMatches, college_matches: collegeMatches };
+}
+
+// Differences between two plaintext matchings of the same roster, such as the
+// reference result and decrypted circuit output. College rosters are compared
+// as sets; an empty list means the matchings agree.
+export function compareMatchings(expected, actual) {
+  const differences = [];
+  expected.student_matches.forEach((c, s) => {
+    if (actual.student_matches[s] !== c) {
+      differences.push(`student ${s}: expected college ${label(c)}, got ${label(actual.student_matches[s])}`);
+    }
+  });
+  expected.college_matches.forEach((seats, c) => {
+    const want = ranked(seats).sort((a, b) => a - b);
+    const got = ranked(actual.college_matches[c] ?? []).sort((a, b) => a - b);
+    if (want.join() !== got.join()) {
+      differences.push(`college ${c}: expected students [${want}], got [${got}]`);
+    }
+  });
+  return differences;
+}
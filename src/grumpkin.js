@@ -0,0 +1,164 @@
+// Grumpkin curve arithmetic (y^2 = x^3 - 17 over the BN254 scalar field).
+// This is the curve Noir exposes as `std::embedded_curve_ops`, so points
+// produced here are interchangeable with `EmbeddedCurvePoint` values.
+
+// Base field of Grumpkin (= BN254 scalar field, i.e. Noir's `Field`)
+export const FIELD_MODULUS = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+
+// Order of the Grumpkin group (= BN254 base field)
+export const CURVE_ORDER = 21888242871839275222246405745257275088696311157297823662689037894645226208583n;
+
+const B = FIELD_MODULUS - 17n;
+
+// Generator used by Noir's `fixed_base_scalar_mul`
+export const GENERATOR = Object.freeze({
+  x: 1n,
+  y: 17631683881184975370165255887551781615748388533673675138860n,
+  is_infinite: false
+});
+
+export const INFINITY = Object.freeze({ x: 0n, y: 0n, is_infinite: true });
+
+const mod = (a, m = FIELD_MODULUS) => {
+  const r = a % m;
+  return r >= 0n ? r : r + m;
+};
+
+function invert(a) {
+  let [low, high] = [mod(a), FIELD_MODULUS];
+  let [lm, hm] = [1n, 0n];
+  if (low === 0n) throw new Error("Cannot invert zero");
+  while (low > 1n) {
+    const q = high / low;
+    [lm, hm] = [hm - lm * q, lm];
+    [low, high] = [high - low * q, low];
+  }
+  return mod(lm);
+}
+
+// Accept bigint, number, decimal or 0x-prefixed hex string
+export function toBigInt(value) {
+  if (typeof value === "bigint") return value;
+  if (typeof value === "number") return BigInt(value);
+  if (typeof value === "boolean") return value ? 1n : 0n;
+  if (typeof value === "string") {
+    const str = value.trim().toLowerCase();
+    if (str === "") return 0n;
+    return BigInt(str);
+  }
+  throw new TypeError(`Cannot convert ${typeof value} to a field element`);
+}
+
+export function toHex(value) {
+  return "0x" + toBigInt(value).toString(16).padStart(64, "0");
+}
+
+// Normalise an `EmbeddedCurvePoint`-shaped object into bigint coordinates
+export function fromNoir(point) {
+  if (!point || toBigInt(point.is_infinite ?? false) !== 0n) return INFINITY;
+  return { x: mod(toBigInt(point.x)), y: mod(toBigInt(point.y)), is_infinite: false };
+}
+
+// Serialise a point as Noir expects it for `EmbeddedCurvePoint` inputs
+export function toNoir(point) {
+  if (point.is_infinite) return { x: toHex(0n), y: toHex(0n), is_infinite: true };
+  return { x: toHex(point.x), y: toHex(point.y), is_infinite: false };
+}
+
+export function isOnCurve(point) {
+  if (point.is_infinite) return true;
+  const { x, y } = point;
+  return mod(y * y) === mod(x * x * x + B);
+}
+
+export function equals(a, b) {
+  if (a.is_infinite || b.is_infinite) return a.is_infinite === b.is_infinite;
+  return a.x === b.x && a.y === b.y;
+}
+
+export function negate(point) {
+  if (point.is_infinite) return INFINITY;
+  return { x: point.x, y: mod(-point.y), is_infinite: false };
+}
+
+export function add(a, b) {
+  if (a.is_infinite) return b;
+  if (b.is_infinite) return a;
+  let lambda;
+  if (a.x === b.x) {
+    if (mod(a.y + b.y) === 0n) return INFINITY;
+    lambda = mod(3n * a.x * a.x * invert(2n * a.y));
+  } else {
+    lambda = mod((b.y - a.y) * invert(b.x - a.x));
+  }
+  const x = mod(lambda * lambda - a.x - b.x);
+  const y = mod(lambda * (a.x - x) - a.y);
+  return { x, y, is_infinite: false };
+}
+
+export function subtract(a, b) {
+  return add(a, negate(b));
+}
+
+// Jacobian coordinates keep scalar multiplication free of per-step inversions
+function jacobianDouble([X, Y, Z]) {
+  if (Z === 0n || Y === 0n) return [0n, 1n, 0n];
+  const YY = mod(Y * Y);
+  const S = mod(4n * X * YY);
+  const M = mod(3n * X * X);
+  const X3 = mod(M * M - 2n * S);
+  const Y3 = mod(M * (S - X3) - 8n * YY * YY);
+  const Z3 = mod(2n * Y * Z);
+  return [X3, Y3, Z3];
+}
+
+function jacobianAdd(p, q) {
+  const [X1, Y1, Z1] = p;
+  const [X2, Y2, Z2] = q;
+  if (Z1 === 0n) return q;
+  if (Z2 === 0n) return p;
+  const Z1Z1 = mod(Z1 * Z1);
+  const Z2Z2 = mod(Z2 * Z2);
+  const U1 = mod(X1 * Z2Z2);
+  const U2 = mod(X2 * Z1Z1);
+  const S1 = mod(Y1 * Z2 * Z2Z2);
+  const S2 = mod(Y2 * Z1 * Z1Z1);
+  if (U1 === U2) {
+    return S1 === S2 ? jacobianDouble(p) : [0n, 1n, 0n];
+  }
+  const H = mod(U2 - U1);
+  const R = mod(S2 - S1);
+  const HH = mod(H * H);
+  const HHH = mod(H * HH);
+  const V = mod(U1 * HH);
+  const X3 = mod(R * R - HHH - 2n * V);
+  const Y3 = mod(R * (V - X3) - S1 * HHH);
+  const Z3 = mod(Z1 * Z2 * H);
+  return [X3, Y3, Z3];
+}
+
+function toAffine([X, Y, Z]) {
+  if (Z === 0n) return INFINITY;
+  const zInv = invert(Z);
+  const zInv2 = mod(zInv * zInv);
+  return { x: mod(X * zInv2), y: mod(Y * zInv2 * zInv), is_infinite: false };
+}
+
+// Scalar multiplication; the scalar is reduced modulo the group order
+export function multiply(point, scalar) {
+  let k = mod(toBigInt(scalar), CURVE_ORDER);
+  if (point.is_infinite || k === 0n) return INFINITY;
+  let result = [0n, 1n, 0n];
+  let addend = [point.x, point.y, 1n];
+  while (k > 0n) {
+    if (k & 1n) result = jacobianAdd(result, addend);
+    addend = jacobianDouble(addend);
+    k >>= 1n;
+  }
+  return toAffine(result);
+}
+
+// Equivalent of Noir's `fixed_base_scalar_mul`
+export function fixedBaseScalarMul(scalar) {
+  return multiply(GENERATOR, scalar);
+}
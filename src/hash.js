@@ -0,0 +1,91 @@
+// BN254 field hashes that agree bit-for-bit with Noir's std library:
+//   pedersenHash  <-> std::hash::pedersen_hash          (bb.js)
+//   poseidonHash  <-> std::hash::poseidon::bn254::hash_N (circomlibjs)
+//   poseidon2Hash <-> std::hash::poseidon2::Poseidon2::hash (bb.js)
+import { BarretenbergSync, Fr } from "@aztec/bb.js";
+import { FIELD_MODULUS, toBigInt } from "./grumpkin.js";
+
+let barretenberg = null;
+let poseidon = null;
+
+const getBarretenberg = () => (barretenberg ??= BarretenbergSync.initSingleton());
+
+// circomlibjs is only pulled in when Poseidon is actually used
+const getPoseidon = () => (poseidon ??= import("circomlibjs").then(lib => lib.buildPoseidon()));
+
+function toField(value) {
+  const n = toBigInt(value);
+  if (n < 0n || n >= FIELD_MODULUS) {
+    throw new RangeError(`Hash input ${value} is outside the BN254 field`);
+  }
+  return n;
+}
+
+export async function pedersenHash(inputs) {
+  const bb = await getBarretenberg();
+  const result = bb.pedersenHash(inputs.map(value => new Fr(toField(value))), 0);
+  return BigInt(result.toString());
+}
+
+export async function poseidonHash(inputs) {
+  if (inputs.length < 1 || inputs.length > 16) {
+    throw new RangeError("Poseidon (bn254) takes between 1 and 16 inputs");
+  }
+  const hasher = await getPoseidon();
+  return hasher.F.toObject(hasher(inputs.map(toField)));
+}
+
+export async function poseidon2Hash(inputs) {
+  const bb = await getBarretenberg();
+  const result = bb.poseidon2Hash(inputs.map(value => new Fr(toField(value))));
+  return BigInt(result.toString());
+}
+
+// Commitment to a single match, `pedersen_hash([student, college, nonce])`
+export async function matchCommitment(studentId, collegeId, nonce) {
+  return pedersenHash([studentId, collegeId, nonce]);
+}
+
+// Outputs of the std hashes for fixed inputs, produced by executing a Noir
+// program (noir 1.0.0-beta.3) that calls each of them
+export const TEST_VECTORS = [
+  {
+    inputs: [1n, 2n, 3n],
+    pedersen: 0x0c21b8e26f60b476d9568df4807131ff70d8b7fffb03fa07960aa1cac9be7c46n,
+    poseidon: 0x0e7732d89e6939c0ff03d5e58dab6302f3230e269dc5b968f725df34ab36d732n,
+    poseidon2: 0x23864adb160dddf590f1d3303683ebcb914f828e2635f6e85a32f0a1aecd3dd8n
+  },
+  {
+    inputs: [1n, 2n],
+    pedersen: 0x17cb544f4d22abbae88f69c706f21367d7925abb131a13836745714dc896c150n,
+    poseidon: 0x115cc0f5e7d690413df64c6b9662e9cf2a3617f2743245519e19607a4417189an
+  },
+  {
+    inputs: [0n, 0n, 0n],
+    pedersen: 0x066e6cdc4a6ba5e4781deda650b0be6c12f975f064fc38df72c1060716759b17n,
+    poseidon: 0x0bc188d27dcceadc1dcfb6af0a7af08fe2864eecec96c5ae7cee6db31ba599aan,
+    poseidon2: 0x2a5de47ed300af27b706aaa14762fc468f5cfc16cd8116eb6b09b0f2643ca2b9n
+  },
+  {
+    inputs: [FIELD_MODULUS - 1n, 999n, 12345n],
+    pedersen: 0x05600f379459b9fd77603937c5d4850748df5794322ed26aa7e4b4b1c844bfe2n,
+    poseidon: 0x24f2a492c335ce4fc88315f3cad44fd90b684b60d5667525ce7ac8821f101e06n,
+    poseidon2: 0x06d99416bf896999052eed3ce8eb0c623be6c34ca38eb2745ef229728b728438n
+  }
+];
+
+// Recompute TEST_VECTORS and return a description of every mismatch
+export async function checkTestVectors() {
+  const hashes = { pedersen: pedersenHash, poseidon: poseidonHash, poseidon2: poseidon2Hash };
+  const failures = [];
+  for (const vector of TEST_VECTORS) {
+    for (const [name, hash] of Object.entries(hashes)) {
+      if (vector[name] === undefined) continue;
+      const actual = await hash(vector.inputs);
+      if (actual !== vector[name]) {
+        failures.push(`${name}(${vector.inputs.join(", ")}) = 0x${actual.toString(16)}, expected 0x${vector[name].toString(16)}`);
+      }
+    }
+  }
+  return failures;
+}
@@ -0,0 +1,116 @@
+// zkUni core: everything needed to run, prove, verify and decrypt a matching
+// round, with no DOM dependency. Runs in Node 20+ and in the browser.
+export {
+  RosterValidationError,
+  circuitInfo,
+  configureBackend,
+  decryptCollegeCiphertexts,
+  decryptForCollege,
+  decryptForStudent,
+  decryptStudentCiphertext,
+  execute,
+  generateWitness,
+  getSolidityVerifier,
+  getVerificationKey,
+  permuteRoster,
+  prepareInputs,
+  prove,
+  proveWitness,
+  validateRoster,
+  verify
+} from "./matching.js";
+export * from "./constants.js";
+export { AbiValidationError, encodeInputs, validateInputs } from "./abi.js";
+export {
+  BUNDLE_VERSION,
+  BundleFormatError,
+  bundleProofData,
+  createBundle,
+  exportBundleBinary,
+  exportBundleJson,
+  importBundle,
+  importBundleBinary,
+  importBundleJson,
+  publishedFingerprintProblems,
+  verificationKeyFingerprint,
+  verifyBundle,
+  verifyBundleWithKey
+} from "./bundle.js";
+export {
+  combineInputCommitment,
+  commitmentFields,
+  computeInputCommitment,
+  inputsDigest,
+  preferenceCommitment,
+  preferencesRoot,
+  proofCommitment
+} from "./commitment.js";
+export { decrypt, derivePublicKey, encrypt, generateKeyPair } from "./elgamal.js";
+export { matchCommitment, pedersenHash, poseidon2Hash, poseidonHash } from "./hash.js";
+export {
+  KeyRegistryError,
+  REGISTRY_FORMAT,
+  SNAPSHOT_FORMAT,
+  activeKey,
+  addParticipantKey,
+  createKeyRegistry,
+  participantId,
+  publicKeyFingerprint,
+  revokeParticipantKey,
+  rotateParticipantKey,
+  snapshotRegistry,
+  verifySnapshot
+} from "./key-registry.js";
+export {
+  KeyVaultError,
+  PBKDF2_ITERATIONS,
+  VAULT_FORMAT,
+  createKeyVault,
+  indexedDbStore,
+  keyId,
+  memoryStore
+} from "./key-vault.js";
+export { compareMatchings, galeShapley } from "./gale-shapley.js";
+export {
+  MAX_TREE_HEIGHT,
+  deriveMatchNonces,
+  proveAdmission,
+  recoverMatchNonce,
+  verifyAdmission
+} from "./membership.js";
+export { KEY_ROLES, keyFileName, keyFileProblems, provisionKeys } from "./provisioning.js";
+export { buildMerkleTree, getMerkleProof, verifyMerkleProof } from "./merkle.js";
+export { checkStability } from "./stability.js";
+export {
+  SUBMISSION_FORMAT,
+  SUBMISSION_VERSION,
+  SubmissionError,
+  openSubmission,
+  sealSubmission,
+  submissionProblems
+} from "./submission.js";
+export {
+  auditPermutationMaps,
+  commitPermutationSeed,
+  generatePermutationMaps,
+  generatePermutationSeed
+} from "./permutation.js";
+export {
+  decodeRegistryError,
+  decodeRound,
+  encodePublishRoundCalldata,
+  encodeRegistryDeployment,
+  encodeRoundCalldata,
+  encodeRoundCountCalldata,
+  encodeVerifyCalldata,
+  solidityProof
+} from "./onchain.js";
+export {
+  RosterImportError,
+  buildRoster,
+  collegeName,
+  importRoster,
+  parseCsv,
+  studentName
+} from "./roster-import.js";
+export { decodeMatchResults, decodePublicInputs } from "./results.js";
@@ -0,0 +1,204 @@
+// Participant key registry: which public key each student and college holds,
+// with the history of rotated and revoked keys. Participants are { role, id }
+// with the roster's numeric ids, written "student-0" as registry keys. The
+// registry is plain JSON; every operation returns an updated copy.
+//
+// Keys are identified by a canonical fingerprint, pedersen_hash([x, y]) of the
+// point's affine coordinates, the same hash as the circuit's input commitment.
+//
+// Before a run, snapshotRegistry() fixes the active keys in id order and
+// commits to them, so everyone can check which keys the circuit encrypted to:
+//   { format, version, round, createdAt, commitment,
+//     students: [{ id, name, fingerprint, publicKey }], colleges: [...],
+//     studentPublicKeys, collegePublicKeys }
+// Like a public roster from `zkuni keys`, a snapshot can fill in a round's keys.
+import { equals, fromNoir, isOnCurve, toBigInt, toHex, toNoir } from "./grumpkin.js";
+import { pedersenHash } from "./hash.js";
+import { KEY_ROLES } from "./provisioning.js";
+
+export const REGISTRY_FORMAT = "zkuni-key-registry";
+export const REGISTRY_VERSION = 1;
+export const SNAPSHOT_FORMAT = "zkuni-key-snapshot";
+
+export class KeyRegistryError extends Error {
+  constructor(errors) {
+    super(`Key registry error:\n  ${errors.join("\n  ")}`);
+    this.name = "KeyRegistryError";
+    this.errors = errors;
+  }
+}
+
+export async function publicKeyFingerprint(publicKey) {
+  const point = fromNoir(publicKey);
+  if (point.is_infinite || !isOnCurve(point)) throw new KeyRegistryError(["public key is not a point on the curve"]);
+  return pedersenHash([point.x, point.y]);
+}
+
+export const participantId = ({ role, id }) => `${role}-${id}`;
+
+export function createKeyRegistry() {
+  return { format: REGISTRY_FORMAT, version: REGISTRY_VERSION, participants: {} };
+}
+
+export const activeKey = (registry, participant) =>
+  registry.participants[participantId(participant)]?.keys.find(key => key.status === "active") ?? null;
+
+function checkParticipant({ role, id }) {
+  const errors = [];
+  if (!KEY_ROLES.includes(role)) errors.push(`role must be "student" or "college", got ${JSON.stringify(role)}`);
+  if (!Number.isInteger(id) || id < 0) errors.push(`id must be a non-negative integer, got ${JSON.stringify(id)}`);
+  if (errors.length > 0) throw new KeyRegistryError(errors);
+}
+
+// A key entry for `publicKey`, refusing keys anyone in the registry ever held
+async function newKey(registry, publicKey, at) {
+  const fingerprint = toHex(await publicKeyFingerprint(publicKey));
+  for (const [owner, { keys }] of Object.entries(registry.participants)) {
+    if (keys.some(key => key.fingerprint === fingerprint)) {
+      throw new KeyRegistryError([`key ${fingerprint} is already registered to ${owner}`]);
+    }
+  }
+  return { fingerprint, publicKey: toNoir(fromNoir(publicKey)), status: "active", addedAt: at, retiredAt: null };
+}
+
+// Register a participant's first key, or a new one after revocation
+export async function addParticipantKey(registry, participant, publicKey, { name, at = new Date().toISOString() } = {}) {
+  checkParticipant(participant);
+  const id = participantId(participant);
+  if (activeKey(registry, participant)) throw new KeyRegistryError([`${id} already has an active key; rotate it instead`]);
+
+  const next = structuredClone(registry);
+  const entry = next.participants[id] ??= { role: participant.role, id: participant.id, name: name ?? null, keys: [] };
+  if (name !== undefined) entry.name = name;
+  entry.keys.push(await newKey(registry, publicKey, at));
+  return next;
+}
+
+// Replace a participant's active key; the old one is kept as "rotated"
+export async function rotateParticipantKey(registry, participant, publicKey, { at = new Date().toISOString() } = {}) {
+  checkParticipant(participant);
+  const current = activeKey(registry, participant);
+  if (!current) throw new KeyRegistryError([`${participantId(participant)} has no active key to rotate`]);
+
+  const key = await newKey(registry, publicKey, at);
+  const next = structuredClone(registry);
+  const { keys } = next.participants[participantId(participant)];
+  Object.assign(keys.find(old => old.status === "active"), { status: "rotated", retiredAt: at });
+  keys.push(key);
+  return next;
+}
+
+// Withdraw a participant's active key, e.g. when it leaked. The participant
+// has no key until a new one is added.
+export function revokeParticipantKey(registry, participant, { reason = null, at = new Date().toISOString() } = {}) {
+  checkParticipant(participant);
+  if (!activeKey(registry, participant)) {
+    throw new KeyRegistryError([`${participantId(participant)} has no active key to revoke`]);
+  }
+  const next = structuredClone(registry);
+  const key = next.participants[participantId(participant)].keys.find(old => old.status === "active");
+  Object.assign(key, { status: "revoked", retiredAt: at, reason });
+  return next;
+}
+
+// pedersen_hash over [student count, student fingerprints, college count,
+// college fingerprints], in id order
+async function snapshotCommitment(students, colleges) {
+  return pedersenHash([
+    students.length, ...students.map(entry => entry.fingerprint),
+    colleges.length, ...colleges.map(entry => entry.fingerprint)
+  ]);
+}
+
+// Fix the active keys for a run. Ids must run from 0 without gaps, and every
+// participant must have an active key.
+export async function snapshotRegistry(registry, { round = null, createdAt = new Date().toISOString() } = {}) {
+  const errors = [];
+  const byRole = role => {
+    const entries = Object.values(registry.participants)
+      .filter(entry => entry.role === role)
+      .sort((a, b) => a.id - b.id);
+    return entries.map((entry, i) => {
+      if (entry.id !== i) errors.push(`no ${role} ${i}: ${role} ids must run from 0 without gaps`);
+      const key = entry.keys.find(candidate => candidate.status === "active");
+      if (!key) errors.push(`${participantId(entry)} has no active key`);
+      return { id: entry.id, name: entry.name, fingerprint: key?.fingerprint, publicKey: key?.publicKey };
+    });
+  };
+  const students = byRole("student");
+  const colleges = byRole("college");
+  if (errors.length > 0) throw new KeyRegistryError([...new Set(errors)]);
+
+  return {
+    format: SNAPSHOT_FORMAT,
+    version: REGISTRY_VERSION,
+    round,
+    createdAt,
+    commitment: toHex(await snapshotCommitment(students, colleges)),
+    students,
+    colleges,
+    studentPublicKeys: students.map(entry => entry.publicKey),
+    collegePublicKeys: colleges.map(entry => entry.publicKey)
+  };
+}
+
+const fieldOrNull = value => {
+  try {
+    return toBigInt(value);
+  } catch {
+    return null;
+  }
+};
+
+// Everything wrong with a snapshot; empty when its fingerprints, key lists
+// and commitment all agree. With `commitment`, the snapshot must be the one
+// published; with a `roster`, the round must use exactly the snapshot's keys.
+export async function verifySnapshot(snapshot, { commitment, roster } = {}) {
+  const problems = [];
+  if (snapshot?.format !== SNAPSHOT_FORMAT) return [`not a ${SNAPSHOT_FORMAT} file`];
+  if (snapshot.version !== REGISTRY_VERSION) return [`unsupported snapshot version ${snapshot.version}`];
+
+  for (const role of KEY_ROLES) {
+    const entries = snapshot[`${role}s`];
+    const keys = snapshot[`${role}PublicKeys`];
+    if (!Array.isArray(entries) || !Array.isArray(keys)) {
+      problems.push(`${role}s and ${role}PublicKeys must be arrays`);
+      continue;
+    }
+    if (keys.length !== entries.length) problems.push(`${keys.length} ${role} public keys for ${entries.length} ${role}s`);
+    for (const [i, entry] of entries.entries()) {
+      if (entry.id !== i) problems.push(`${role} ${i} is listed as id ${entry.id}`);
+      let fingerprint = null;
+      try {
+        fingerprint = await publicKeyFingerprint(entry.publicKey);
+      } catch {
+        problems.push(`${role} ${i}: public key is not a point on the curve`);
+        continue;
+      }
+      if (fingerprint !== fieldOrNull(entry.fingerprint)) problems.push(`${role} ${i}: fingerprint does not match its public key`);
+      if (keys[i] && !equals(fromNoir(keys[i]), fromNoir(entry.publicKey))) {
+        problems.push(`${role}PublicKeys[${i}] differs from ${role} ${i}'s key`);
+      }
+    }
+  }
+  if (problems.length > 0) return problems;
+
+  const computed = await snapshotCommitment(snapshot.students, snapshot.colleges);
+  if (computed !== fieldOrNull(snapshot.commitment)) problems.push("commitment does not match the listed fingerprints");
+  if (commitment !== undefined && toBigInt(commitment) !== computed) {
+    problems.push(`snapshot commits to ${toHex(computed)}, expected ${toHex(commitment)}`);
+  }
+  if (roster) {
+    for (const role of KEY_ROLES) {
+      const used = roster[`${role}PublicKeys`] ?? [];
+      const listed = snapshot[`${role}PublicKeys`];
+      if (used.length !== listed.length) problems.push(`the round has ${used.length} ${role} keys, the snapshot ${listed.length}`);
+      used.forEach((key, i) => {
+        if (listed[i] && !equals(fromNoir(key), fromNoir(listed[i]))) {
+          problems.push(`the round encrypts to a different key for ${role} ${i}`);
+        }
+      });
+    }
+  }
+  return problems;
+}
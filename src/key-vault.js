@@ -0,0 +1,235 @@
+// Passphrase-protected storage for participants' ElGamal private keys. Each
+// key is sealed with AES-GCM under a key derived from the passphrase with
+// PBKDF2-SHA-256, and kept in IndexedDB (or any store with the same four
+// methods, such as memoryStore() in Node). Keys are labelled with the
+// admissions round, the participant's role and the participant:
+//   { round: "2025-fall", role: "student", participant: "Alice" }
+// Labels and public keys can be read without the passphrase; private keys
+// only come out of unlockKey().
+//
+// Backups are JSON files holding the sealed records, encrypted once more
+// under a backup passphrase, so they reveal neither keys nor labels.
+import { derivePublicKey } from "./elgamal.js";
+import { equals, fromNoir, toBigInt, toHex } from "./grumpkin.js";
+
+export const VAULT_FORMAT = "zkuni-key-vault";
+export const VAULT_VERSION = 1;
+export const PBKDF2_ITERATIONS = 600_000;
+
+export class KeyVaultError extends Error {
+  constructor(errors) {
+    super(`Key vault error:\n  ${errors.join("\n  ")}`);
+    this.name = "KeyVaultError";
+    this.errors = errors;
+  }
+}
+
+const utf8 = new TextEncoder();
+const bytesToHex = bytes => Array.from(bytes, b => b.toString(16).padStart(2, "0")).join("");
+const hexToBytes = hex => Uint8Array.from(hex.match(/../g) ?? [], byte => parseInt(byte, 16));
+const randomBytes = length => globalThis.crypto.getRandomValues(new Uint8Array(length));
+
+async function deriveKey(passphrase, salt, iterations) {
+  const { subtle } = globalThis.crypto;
+  const material = await subtle.importKey("raw", utf8.encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  return subtle.deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+// AES-GCM under a fresh salt and IV. `context` is authenticated but not
+// encrypted, so a sealed key can't be moved to another label.
+async function seal(plaintext, passphrase, context, iterations) {
+  const salt = randomBytes(16);
+  const iv = randomBytes(12);
+  const key = await deriveKey(passphrase, salt, iterations);
+  const ciphertext = await globalThis.crypto.subtle.encrypt(
+    { name: "AES-GCM", iv, additionalData: utf8.encode(context) }, key, plaintext);
+  return {
+    kdf: { name: "PBKDF2", hash: "SHA-256", iterations, salt: bytesToHex(salt) },
+    iv: bytesToHex(iv),
+    ciphertext: bytesToHex(new Uint8Array(ciphertext))
+  };
+}
+
+// What is wrong with the sealed part of a record or backup, before unsealing
+function sealedProblems(sealed) {
+  const problems = [];
+  const kdf = sealed?.kdf;
+  if (kdf?.name !== "PBKDF2" || kdf.hash !== "SHA-256") problems.push("kdf must be PBKDF2 with SHA-256");
+  if (!Number.isInteger(kdf?.iterations) || kdf.iterations < 1) problems.push("kdf iterations must be a positive integer");
+  for (const [name, hex] of [["salt", kdf?.salt], ["iv", sealed?.iv], ["ciphertext", sealed?.ciphertext]]) {
+    if (typeof hex !== "string" || !/^([0-9a-f]{2})+$/.test(hex)) problems.push(`${name} must be a hex string`);
+  }
+  return problems;
+}
+
+// The plaintext, or null for a wrong passphrase or tampered data
+async function unseal(sealed, passphrase, context) {
+  try {
+    const key = await deriveKey(passphrase, hexToBytes(sealed.kdf.salt), sealed.kdf.iterations);
+    return new Uint8Array(await globalThis.crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: hexToBytes(sealed.iv), additionalData: utf8.encode(context) },
+      key,
+      hexToBytes(sealed.ciphertext)));
+  } catch {
+    return null;
+  }
+}
+
+export const keyId = ({ round, role, participant }) =>
+  [round, role, participant].map(part => encodeURIComponent(part)).join("/");
+
+function labelProblems(label) {
+  return ["round", "role", "participant"]
+    .filter(part => typeof label?.[part] !== "string" || label[part].trim() === "")
+    .map(part => `${part} must be a non-empty string`);
+}
+
+const keyContext = record =>
+  `${VAULT_FORMAT}:${record.id}:${record.publicKey.x}:${record.publicKey.y}`;
+
+// What callers see of a record: everything but the sealed key
+const describe = ({ id, round, role, participant, publicKey, createdAt }) =>
+  ({ id, round, role, participant, publicKey, createdAt });
+
+// Records imported from a backup must be whole and self-consistent
+function recordProblems(record, i) {
+  const where = `keys[${i}]`;
+  const problems = labelProblems(record).map(problem => `${where}: ${problem}`);
+  if (problems.length === 0 && record.id !== keyId(record)) problems.push(`${where}: id does not match its label`);
+  if (typeof record?.publicKey?.x !== "string" || typeof record?.publicKey?.y !== "string") {
+    problems.push(`${where}: missing public key`);
+  }
+  problems.push(...sealedProblems(record).map(problem => `${where}: ${problem}`));
+  return problems;
+}
+
+// IndexedDB object store keyed by record id; the database opens on first use
+export function indexedDbStore(name = VAULT_FORMAT) {
+  let db = null;
+  const open = () => (db ??= new Promise((resolve, reject) => {
+    const request = globalThis.indexedDB.open(name, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore("keys", { keyPath: "id" });
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }));
+  const run = async (mode, operation) => {
+    const transaction = (await open()).transaction("keys", mode);
+    const request = operation(transaction.objectStore("keys"));
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = transaction.onabort = () => reject(transaction.error ?? request.error);
+    });
+  };
+  return {
+    get: id => run("readonly", store => store.get(id)),
+    all: () => run("readonly", store => store.getAll()),
+    put: record => run("readwrite", store => store.put(record)),
+    delete: id => run("readwrite", store => store.delete(id))
+  };
+}
+
+// In-memory store with the same interface, for Node and scripts
+export function memoryStore() {
+  const records = new Map();
+  return {
+    get: async id => structuredClone(records.get(id)),
+    all: async () => [...records.values()].map(record => structuredClone(record)),
+    put: async record => void records.set(record.id, structuredClone(record)),
+    delete: async id => void records.delete(id)
+  };
+}
+
+export function createKeyVault({ store = indexedDbStore(), iterations = PBKDF2_ITERATIONS } = {}) {
+  // Seal `privateKey` under `passphrase`. An existing key with the same label
+  // is only overwritten with `replace`.
+  async function addKey(label, privateKey, passphrase, { replace = false } = {}) {
+    const problems = labelProblems(label);
+    if (problems.length > 0) throw new KeyVaultError(problems);
+    const id = keyId(label);
+    if (!replace && (await store.get(id))) throw new KeyVaultError([`a key for ${id} is already stored`]);
+
+    const { round, role, participant } = label;
+    const record = { id, round, role, participant, publicKey: derivePublicKey(privateKey), createdAt: new Date().toISOString() };
+    const secret = utf8.encode(toHex(privateKey));
+    Object.assign(record, await seal(secret, passphrase, keyContext(record), iterations));
+    await store.put(record);
+    return describe(record);
+  }
+
+  async function findKey(label) {
+    const record = await store.get(keyId(label));
+    return record ? describe(record) : null;
+  }
+
+  // Labels and public keys, optionally for one round only
+  async function listKeys({ round } = {}) {
+    return (await store.all())
+      .filter(record => round === undefined || record.round === round)
+      .map(describe)
+      .sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  // The private key as a bigint; throws for an unknown label or a wrong passphrase
+  async function unlockKey(label, passphrase) {
+    const id = keyId(label);
+    const record = await store.get(id);
+    if (!record) throw new KeyVaultError([`no key stored for ${id}`]);
+    const secret = await unseal(record, passphrase, keyContext(record));
+    if (secret === null) throw new KeyVaultError([`wrong passphrase for ${id}, or the stored key was tampered with`]);
+    const privateKey = toBigInt(new TextDecoder().decode(secret));
+    if (!equals(fromNoir(derivePublicKey(privateKey)), fromNoir(record.publicKey))) {
+      throw new KeyVaultError([`the key stored for ${id} does not match its public key`]);
+    }
+    return privateKey;
+  }
+
+  async function removeKey(label) {
+    await store.delete(keyId(label));
+  }
+
+  // JSON backup of every sealed key (or one round's), encrypted under `passphrase`
+  async function exportBackup(passphrase, { round } = {}) {
+    const records = (await store.all()).filter(record => round === undefined || record.round === round);
+    const sealed = await seal(utf8.encode(JSON.stringify(records)), passphrase, VAULT_FORMAT, iterations);
+    return JSON.stringify({ format: VAULT_FORMAT, version: VAULT_VERSION, exportedAt: new Date().toISOString(), ...sealed }, null, 2);
+  }
+
+  // Restore a backup. Nothing is written unless every record is valid and,
+  // without `replace`, none of them is already stored.
+  async function importBackup(text, passphrase, { replace = false } = {}) {
+    let backup;
+    try {
+      backup = JSON.parse(text);
+    } catch (err) {
+      throw new KeyVaultError([`backup is not JSON: ${err.message}`]);
+    }
+    if (backup?.format !== VAULT_FORMAT) throw new KeyVaultError([`not a ${VAULT_FORMAT} backup`]);
+    if (backup.version !== VAULT_VERSION) throw new KeyVaultError([`unsupported backup version ${backup.version}`]);
+    const problems = sealedProblems(backup).map(problem => `backup: ${problem}`);
+    if (problems.length > 0) throw new KeyVaultError(problems);
+
+    const plaintext = await unseal(backup, passphrase, VAULT_FORMAT);
+    if (plaintext === null) throw new KeyVaultError(["wrong backup passphrase, or the backup was tampered with"]);
+    const records = JSON.parse(new TextDecoder().decode(plaintext));
+    if (!Array.isArray(records)) throw new KeyVaultError(["backup holds no key list"]);
+
+    const errors = records.flatMap(recordProblems);
+    if (!replace) {
+      for (const record of records) {
+        if (await store.get(record.id)) errors.push(`a key for ${record.id} is already stored`);
+      }
+    }
+    if (errors.length > 0) throw new KeyVaultError(errors);
+
+    for (const record of records) await store.put(record);
+    return records.map(describe);
+  }
+
+  return { addKey, findKey, listKeys, unlockKey, removeKey, exportBackup, importBackup };
+}
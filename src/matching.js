@@ -0,0 +1,295 @@
+// The matching pipeline without any UI: permute a roster into circuit slots,
+// commit to it, prove the matching, verify proofs and decrypt each
+// participant's result back into original ids.
+//
+// A roster is indexed by original ids:
+//   studentPrefs[s]      colleges in order of preference
+//   collegePrefs[c]      students in order of preference
+//   collegeCapacities[c]
+//   studentPublicKeys[s], collegePublicKeys[c]   Grumpkin points (see elgamal.js)
+//   studentSalts[s], collegeSalts[c]             optional preference commitment
+//                                                salts (see commitment.js), 0 if absent
+// UNMATCHED entries in preference lists are treated as padding.
+import { Noir } from "@noir-lang/noir_js";
+import { UltraHonkBackend } from "@aztec/bb.js";
+import circuit from "../circuit/target/circuit.json" with { type: "json" };
+import { encodeInputs } from "./abi.js";
+import { inputsDigest, inputsPreferencesRoot, withInputCommitment } from "./commitment.js";
+import {
+  MAX_COLLEGE_CAPACITY,
+  MAX_PREFS,
+  N_COLLEGE_QUOTA,
+  N_STUDENT_PREFERENCE,
+  UNMATCHED
+} from "./constants.js";
+import { decrypt, generateKeyPair, randomScalar } from "./elgamal.js";
+import { fromNoir, isOnCurve, toBigInt } from "./grumpkin.js";
+import { commitPermutationSeed, generatePermutationMaps, generatePermutationSeed } from "./permutation.js";
+import { decodePublicInputs } from "./results.js";
+
+export class RosterValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid roster:\n  ${errors.join("\n  ")}`);
+    this.name = "RosterValidationError";
+    this.errors = errors;
+  }
+}
+
+// Identifies the compiled circuit a proof belongs to
+export const circuitInfo = Object.freeze({ noirVersion: circuit.noir_version, hash: String(circuit.hash) });
+
+let backend = null;
+let backendOptions = {};
+const getBackend = () => (backend ??= new UltraHonkBackend(circuit.bytecode, backendOptions));
+
+// bb.js backend options, such as { threads }, for every proof and
+// verification from here on
+export function configureBackend(options) {
+  backend?.destroy();
+  backend = null;
+  backendOptions = { ...options };
+}
+
+const withoutPadding = list => list.filter(id => Number(id) !== UNMATCHED).map(Number);
+
+function checkPrefs(prefs, owner, maxLength, targetCount, targetName, errors) {
+  prefs.forEach((list, i) => {
+    if (!Array.isArray(list)) {
+      errors.push(`${owner}Prefs[${i}] must be an array`);
+      return;
+    }
+    const ids = withoutPadding(list);
+    if (ids.length > maxLength) {
+      errors.push(`${owner}Prefs[${i}] ranks ${ids.length} ${targetName}s, the circuit allows ${maxLength}`);
+    }
+    ids.forEach(id => {
+      if (!Number.isInteger(id) || id < 0 || id >= targetCount) {
+        errors.push(`${owner}Prefs[${i}] names unknown ${targetName} ${id}`);
+      }
+    });
+    if (new Set(ids).size !== ids.length) {
+      errors.push(`${owner}Prefs[${i}] ranks the same ${targetName} twice`);
+    }
+  });
+}
+
+function checkKeys(keys, owner, errors) {
+  keys.forEach((key, i) => {
+    try {
+      const point = fromNoir(key);
+      if (point.is_infinite || !isOnCurve(point)) errors.push(`${owner}PublicKeys[${i}] is not a valid public key`);
+    } catch {
+      errors.push(`${owner}PublicKeys[${i}] is not a valid public key`);
+    }
+  });
+}
+
+function checkSalts(salts, count, owner, errors) {
+  if (salts === undefined) return;
+  if (!Array.isArray(salts) || salts.length !== count) {
+    errors.push(`${owner}Salts must list one salt per ${owner}`);
+    return;
+  }
+  salts.forEach((salt, i) => {
+    try {
+      toBigInt(salt);
+    } catch {
+      errors.push(`${owner}Salts[${i}] is not a field element`);
+    }
+  });
+}
+
+// List every reason `roster` can't be run through the circuit; empty when valid
+export function validateRoster(roster) {
+  const errors = [];
+  const { studentPrefs, collegePrefs, collegeCapacities, studentPublicKeys, collegePublicKeys } = roster ?? {};
+  for (const [name, value] of Object.entries({ studentPrefs, collegePrefs, collegeCapacities, studentPublicKeys, collegePublicKeys })) {
+    if (!Array.isArray(value)) errors.push(`${name} must be an array`);
+  }
+  if (errors.length > 0) return errors;
+
+  const studentCount = studentPrefs.length;
+  const collegeCount = collegePrefs.length;
+  if (studentCount > N_STUDENT_PREFERENCE) {
+    errors.push(`${studentCount} students, the circuit holds ${N_STUDENT_PREFERENCE}`);
+  }
+  if (collegeCount > N_COLLEGE_QUOTA) {
+    errors.push(`${collegeCount} colleges, the circuit holds ${N_COLLEGE_QUOTA}`);
+  }
+  if (studentPublicKeys.length !== studentCount) {
+    errors.push(`${studentPublicKeys.length} student public keys for ${studentCount} students`);
+  }
+  if (collegePublicKeys.length !== collegeCount) {
+    errors.push(`${collegePublicKeys.length} college public keys for ${collegeCount} colleges`);
+  }
+  if (collegeCapacities.length !== collegeCount) {
+    errors.push(`${collegeCapacities.length} capacities for ${collegeCount} colleges`);
+  }
+
+  checkPrefs(studentPrefs, "student", MAX_PREFS, collegeCount, "college", errors);
+  checkPrefs(collegePrefs, "college", N_STUDENT_PREFERENCE, studentCount, "student", errors);
+  collegeCapacities.forEach((capacity, c) => {
+    if (!Number.isInteger(Number(capacity)) || capacity < 0 || capacity > MAX_COLLEGE_CAPACITY) {
+      errors.push(`collegeCapacities[${c}] must be an integer from 0 to ${MAX_COLLEGE_CAPACITY}`);
+    }
+  });
+  checkKeys(studentPublicKeys, "student", errors);
+  checkKeys(collegePublicKeys, "college", errors);
+  checkSalts(roster.studentSalts, studentCount, "student", errors);
+  checkSalts(roster.collegeSalts, collegeCount, "college", errors);
+  return errors;
+}
+
+// Move a roster into permuted circuit slots. Slots without a participant get
+// no preferences, zero capacity and a throwaway random key, so their
+// ciphertexts look like everyone else's and don't reveal the roster size.
+export function permuteRoster(roster, maps) {
+  const { studentIdMap, collegeIdMap } = maps;
+  const padded = (list, length) => [...list, ...Array(length - list.length).fill(UNMATCHED)];
+
+  const studentPrefs = Array.from({ length: N_STUDENT_PREFERENCE }, () => Array(MAX_PREFS).fill(UNMATCHED));
+  const collegePrefs = Array.from({ length: N_COLLEGE_QUOTA }, () => Array(N_STUDENT_PREFERENCE).fill(UNMATCHED));
+  const capacities = Array(N_COLLEGE_QUOTA).fill(0);
+  const studentKeys = Array.from({ length: N_STUDENT_PREFERENCE }, () => generateKeyPair().publicKey);
+  const collegeKeys = Array.from({ length: N_COLLEGE_QUOTA }, () => generateKeyPair().publicKey);
+
+  roster.studentPrefs.forEach((prefs, s) => {
+    const slot = studentIdMap[s];
+    studentPrefs[slot] = padded(withoutPadding(prefs).map(c => collegeIdMap[c]), MAX_PREFS);
+    studentKeys[slot] = roster.studentPublicKeys[s];
+  });
+  roster.collegePrefs.forEach((prefs, c) => {
+    const slot = collegeIdMap[c];
+    collegePrefs[slot] = padded(withoutPadding(prefs).map(s => studentIdMap[s]), N_STUDENT_PREFERENCE);
+    capacities[slot] = Number(roster.collegeCapacities[c]);
+    collegeKeys[slot] = roster.collegePublicKeys[c];
+  });
+
+  return { studentPrefs, collegePrefs, capacities, studentKeys, collegeKeys };
+}
+
+// Salts by original id over every padded slot; padding slots get 0
+const paddedSalts = (salts, length) => Array.from({ length }, (_, i) => salts?.[i] ?? 0);
+
+// Everything needed to prove a round. `inputs` are the circuit inputs, with
+// `committed_inputs` filled in. The permutation seed and nonce seed stay with
+// the coordinator; only the two commitments are meant to be published, and
+// after the run the inputs digest and preferences root (see commitment.js).
+export async function prepareInputs(roster, { permutationSeed = generatePermutationSeed(), nonceSeed = randomScalar() } = {}) {
+  const errors = validateRoster(roster);
+  if (errors.length > 0) throw new RosterValidationError(errors);
+
+  // Shuffle over every padded slot, so the circuit treats them all as live
+  const maps = generatePermutationMaps(permutationSeed, N_STUDENT_PREFERENCE, N_COLLEGE_QUOTA);
+  const permuted = permuteRoster(roster, maps);
+
+  const inputs = await withInputCommitment(circuit.abi, {
+    permuted_student_prefs: permuted.studentPrefs,
+    permuted_college_prefs: permuted.collegePrefs,
+    college_capacities: permuted.capacities,
+    permuted_student_public_keys: permuted.studentKeys,
+    permuted_college_public_keys: permuted.collegeKeys,
+    actual_student_list: N_STUDENT_PREFERENCE,
+    actual_uni_list: N_COLLEGE_QUOTA,
+    nonce_seed: nonceSeed,
+    student_id_map: maps.studentIdMap,
+    college_id_map: maps.collegeIdMap,
+    student_salts: paddedSalts(roster.studentSalts, N_STUDENT_PREFERENCE),
+    college_salts: paddedSalts(roster.collegeSalts, N_COLLEGE_QUOTA)
+  });
+
+  return {
+    inputs,
+    commitment: toBigInt(inputs.committed_inputs),
+    inputsDigest: await inputsDigest(circuit.abi, inputs),
+    preferencesRoot: await inputsPreferencesRoot(inputs),
+    permutation: { seed: permutationSeed, commitment: await commitPermutationSeed(permutationSeed), maps },
+    studentCount: roster.studentPrefs.length,
+    collegeCount: roster.collegePrefs.length
+  };
+}
+
+// Run the circuit without proving and return the encrypted MatchResults
+export async function execute(prepared) {
+  const { returnValue } = await new Noir(circuit).execute(encodeInputs(circuit.abi, prepared.inputs));
+  return returnValue;
+}
+
+// Solve the circuit for its compressed witness, the first half of `prove`
+export async function generateWitness(prepared) {
+  const { witness } = await new Noir(circuit).execute(encodeInputs(circuit.abi, prepared.inputs));
+  return witness;
+}
+
+// Prove a witness from `generateWitness`, the second half of `prove`
+export async function proveWitness(witness, { keccak = false } = {}) {
+  return getBackend().generateProof(witness, { keccak });
+}
+
+// Generate a proof of the matching. The encrypted results travel in its public
+// inputs. `keccak` proofs are the ones the Solidity verifier accepts.
+export async function prove(prepared, { keccak = false } = {}) {
+  return proveWitness(await generateWitness(prepared), { keccak });
+}
+
+// The circuit's UltraHonk verification key
+export async function getVerificationKey() {
+  return getBackend().getVerificationKey();
+}
+
+// Source of a Solidity contract (HonkVerifier) that verifies keccak proofs of the circuit
+export async function getSolidityVerifier() {
+  const backend = getBackend();
+  await backend.instantiate();
+  // bb.js builds the contract from the poseidon-transcript key unless given
+  // one, which the keccak verifier misreads as garbage points. 0.72.1 has no
+  // public getter for the keccak key, so this uses the backend's internals
+  // (api, acirUncompressedBytecode, circuitOptions); package.json pins bb.js
+  // to that exact version, so recheck them before upgrading it.
+  const vk = await backend.api.acirWriteVkUltraKeccakHonk(backend.acirUncompressedBytecode, backend.circuitOptions.recursive);
+  // and hands the source back as UTF-8 bytes
+  return new TextDecoder().decode(await backend.getSolidityVerifier(vk));
+}
+
+// Verify a matching proof, optionally pinning it to a published input
+// commitment. Returns the commitment and encrypted results it carries.
+export async function verify(proofData, { commitment, keccak = false } = {}) {
+  const { inputs, returnValue } = decodePublicInputs(circuit.abi, proofData.publicInputs);
+  const disclosed = { commitment: toBigInt(inputs.committed_inputs), matchResults: returnValue };
+
+  if (commitment !== undefined && disclosed.commitment !== toBigInt(commitment)) {
+    return { valid: false, ...disclosed };
+  }
+
+  const valid = await getBackend().verifyProof(proofData, { keccak });
+  return { valid, ...disclosed };
+}
+
+// The college (original id) a student was matched to, or UNMATCHED
+export function decryptForStudent(matchResults, { maps, studentId, privateKey }) {
+  return decryptStudentCiphertext(matchResults.student_matches[maps.studentIdMap[studentId]], { maps, privateKey });
+}
+
+// The students (original ids) admitted to a college, in seat order
+export function decryptForCollege(matchResults, { maps, collegeId, privateKey }) {
+  return decryptCollegeCiphertexts(matchResults.college_matches[maps.collegeIdMap[collegeId]], { maps, privateKey });
+}
+
+// Same as decryptForStudent, from the student's own ciphertext alone
+export function decryptStudentCiphertext(ciphertext, { maps, privateKey }) {
+  const plaintext = decrypt(ciphertext, privateKey);
+  // The circuit encrypts the permuted college id + 1, and UNMATCHED + 1 for no match
+  if (plaintext === null || plaintext - 1 === UNMATCHED) return UNMATCHED;
+  return maps.collegeIdMap.indexOf(plaintext - 1);
+}
+
+// Same as decryptForCollege, from the college's own seat ciphertexts alone
+export function decryptCollegeCiphertexts(ciphertexts, { maps, privateKey }) {
+  const students = [];
+  for (const ciphertext of ciphertexts) {
+    const plaintext = decrypt(ciphertext, privateKey);
+    if (plaintext === null || plaintext - 1 === UNMATCHED) continue;
+    students.push(maps.studentIdMap.indexOf(plaintext - 1));
+  }
+  return students;
+}
@@ -0,0 +1,84 @@
+// Prover and verifier for the "prove my admission" circuit (membership/).
+// A student shows that their match commitment is a leaf under a round's
+// public Merkle root, optionally revealing the college and nothing else.
+// The matching proof doesn't cover that root, so an admission proof is only
+// as good as the coordinator who built the tree (see README).
+import { Noir } from "@noir-lang/noir_js";
+import { UltraHonkBackend } from "@aztec/bb.js";
+import membershipCircuit from "../membership/target/membership.json" with { type: "json" };
+import { encodeInputs } from "./abi.js";
+import { derivePublicKey, randomScalar } from "./elgamal.js";
+import { fromNoir, multiply, toBigInt } from "./grumpkin.js";
+import { pedersenHash } from "./hash.js";
+import { decodePublicInputs } from "./results.js";
+
+// Matches `global MAX_TREE_HEIGHT` in membership/src/main.nr
+export const MAX_TREE_HEIGHT = 16;
+
+let backend = null;
+const getBackend = () => (backend ??= new UltraHonkBackend(membershipCircuit.bytecode));
+
+// Match commitment nonces. With predictable nonces anyone holding the root
+// could brute-force every leaf over the few colleges, so each student's nonce
+// is agreed by ECDH: the coordinator draws a fresh `nonceSecret` per round and
+// publishes `nonceKey` with the root, and only the student's private key (or
+// the secret) recovers that student's nonce.
+const agreedNonce = (sharedPoint, studentId) => pedersenHash([sharedPoint.x, sharedPoint.y, studentId]);
+
+// Coordinator side: every student's nonce, in id order, and the nonce key to publish
+export async function deriveMatchNonces(studentPublicKeys, { nonceSecret = randomScalar() } = {}) {
+  const nonces = await Promise.all(studentPublicKeys.map((publicKey, studentId) =>
+    agreedNonce(multiply(fromNoir(publicKey), nonceSecret), studentId)));
+  return { nonceKey: derivePublicKey(nonceSecret), nonces };
+}
+
+// Student side: their own nonce from the published nonce key
+export async function recoverMatchNonce({ nonceKey, studentId, privateKey }) {
+  return agreedNonce(multiply(fromNoir(nonceKey), privateKey), studentId);
+}
+
+// Witness inputs for the circuit from a path produced by getMerkleProof
+export function membershipInputs({ root, studentId, collegeId, nonce, merkleProof, revealCollege = false }) {
+  const depth = merkleProof.siblings.length;
+  if (depth > MAX_TREE_HEIGHT) {
+    throw new RangeError(`Merkle path of height ${depth} exceeds the circuit maximum of ${MAX_TREE_HEIGHT}`);
+  }
+
+  const pad = (values, filler) => [...values, ...Array(MAX_TREE_HEIGHT - depth).fill(filler)];
+
+  return encodeInputs(membershipCircuit.abi, {
+    root,
+    reveal_college: revealCollege,
+    revealed_college: revealCollege ? collegeId : 0,
+    student_id: studentId,
+    college_id: collegeId,
+    nonce,
+    depth,
+    siblings: pad(merkleProof.siblings, 0),
+    directions: pad(merkleProof.directions.map(bit => Number(bit) === 1), false)
+  });
+}
+
+// Generate a proof of admission. Only the root and (if chosen) the college are public.
+export async function proveAdmission(params) {
+  const noir = new Noir(membershipCircuit);
+  const { witness } = await noir.execute(membershipInputs(params));
+  return getBackend().generateProof(witness);
+}
+
+// Verify a proof of admission, optionally pinning it to the expected round root.
+// Returns what the proof discloses alongside the verdict.
+export async function verifyAdmission(proofData, { root } = {}) {
+  const { inputs } = decodePublicInputs(membershipCircuit.abi, proofData.publicInputs);
+  const disclosed = {
+    root: toBigInt(inputs.root),
+    revealedCollege: inputs.reveal_college ? Number(toBigInt(inputs.revealed_college)) : null
+  };
+
+  if (root !== undefined && disclosed.root !== toBigInt(root)) {
+    return { valid: false, ...disclosed };
+  }
+
+  const valid = await getBackend().verifyProof(proofData);
+  return { valid, ...disclosed };
+}
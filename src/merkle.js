@@ -0,0 +1,87 @@
+// Binary Merkle tree over match commitments. Nodes are
+// `pedersen_hash([left, right])` and leaves sit at their student
+// index, so roots and paths agree with the Noir side.
+import { toBigInt } from "./grumpkin.js";
+import { pedersenHash } from "./hash.js";
+
+export const EMPTY_LEAF = 0n;
+
+export const hashPair = (left, right) => pedersenHash([left, right]);
+
+// Smallest height whose tree holds `count` leaves
+export function heightFor(count) {
+  let height = 1;
+  while (2 ** height < count) height++;
+  return height;
+}
+
+// Roots of all-empty subtrees, so large sparse trees are cheap to build
+async function emptySubtrees(height, emptyLeaf) {
+  const zeros = [emptyLeaf];
+  for (let level = 0; level < height; level++) {
+    zeros.push(await hashPair(zeros[level], zeros[level]));
+  }
+  return zeros;
+}
+
+// Build a tree from `leaves`, padding with `emptyLeaf` up to 2^height leaves
+export async function buildMerkleTree(leaves, { height = heightFor(leaves.length), emptyLeaf = EMPTY_LEAF } = {}) {
+  if (leaves.length > 2 ** height) {
+    throw new RangeError(`${leaves.length} leaves do not fit in a tree of height ${height}`);
+  }
+
+  const zeros = await emptySubtrees(height, toBigInt(emptyLeaf));
+  const layers = [leaves.map(toBigInt)];
+
+  for (let level = 0; level < height; level++) {
+    const nodes = layers[level];
+    const parents = [];
+    for (let i = 0; i < nodes.length; i += 2) {
+      const left = nodes[i];
+      const right = i + 1 < nodes.length ? nodes[i + 1] : zeros[level];
+      parents.push(await hashPair(left, right));
+    }
+    layers.push(parents.length > 0 ? parents : [zeros[level + 1]]);
+  }
+
+  return { height, layers, zeros, root: layers[height][0] };
+}
+
+// Sibling path for the leaf at `index`. `directions[i]` is 1 when the node at
+// level i is a right child (i.e. the bits of `index`, least significant first).
+export function getMerkleProof(tree, index) {
+  if (!Number.isInteger(index) || index < 0 || index >= 2 ** tree.height) {
+    throw new RangeError(`Leaf index ${index} is outside a tree of height ${tree.height}`);
+  }
+
+  const siblings = [];
+  const directions = [];
+  let position = index;
+  for (let level = 0; level < tree.height; level++) {
+    const siblingIndex = position ^ 1;
+    const layer = tree.layers[level];
+    siblings.push(siblingIndex < layer.length ? layer[siblingIndex] : tree.zeros[level]);
+    directions.push(position & 1);
+    position >>= 1;
+  }
+
+  const leaf = index < tree.layers[0].length ? tree.layers[0][index] : tree.zeros[0];
+  return { leaf, index, siblings, directions, root: tree.root };
+}
+
+// Fold a leaf up its sibling path
+export async function computeMerkleRoot(leaf, siblings, directions) {
+  let node = toBigInt(leaf);
+  for (let level = 0; level < siblings.length; level++) {
+    const sibling = toBigInt(siblings[level]);
+    node = Number(directions[level]) === 1
+      ? await hashPair(sibling, node)
+      : await hashPair(node, sibling);
+  }
+  return node;
+}
+
+export async function verifyMerkleProof(root, leaf, { siblings, directions }) {
+  if (siblings.length !== directions.length) return false;
+  return (await computeMerkleRoot(leaf, siblings, directions)) === toBigInt(root);
+}
@@ -0,0 +1,132 @@
+// On-chain publication of matching rounds: the exported UltraHonk Solidity
+// verifier plus contracts/ZkUniRegistry.sol, which stores each round's input
+// commitment once its proof verifies, next to the coordinator's (unproven)
+// admission Merkle root. This module only builds
+// and decodes calldata, so it runs anywhere; sending transactions is up to the
+// caller (see scripts/registry-e2e.js for a run against an in-process EVM).
+//
+// The Solidity verifier checks keccak-transcript proofs, so prove rounds
+// meant for the chain with `prove(prepared, { keccak: true })`.
+import { keccak256 } from "ethereum-cryptography/keccak.js";
+import { toBigInt, toHex } from "./grumpkin.js";
+
+const WORD = 32;
+
+// bb.js prefixes proofs with a 4-byte length that the Solidity verifier doesn't expect
+const PROOF_HEADER_BYTES = 4;
+
+const utf8 = text => new TextEncoder().encode(text);
+const bytesToHex = bytes => "0x" + Array.from(bytes, b => b.toString(16).padStart(2, "0")).join("");
+
+function hexToBytes(hex) {
+  const digits = hex.startsWith("0x") ? hex.slice(2) : hex;
+  return Uint8Array.from(digits.match(/../g) ?? [], byte => parseInt(byte, 16));
+}
+
+const word = value => hexToBytes(toBigInt(value).toString(16).padStart(WORD * 2, "0"));
+const padded = bytes => {
+  const out = new Uint8Array(Math.ceil(bytes.length / WORD) * WORD);
+  out.set(bytes);
+  return out;
+};
+
+const concat = parts => {
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+};
+
+export const selector = signature => keccak256(utf8(signature)).slice(0, 4);
+
+// ABI-encode `values` as the given types. Supports just what the registry and
+// verifier take: address, uint256, bytes32, bytes and bytes32[].
+export function encodeArguments(types, values) {
+  const heads = [];
+  const tails = [];
+  let tailOffset = types.length * WORD;
+  types.forEach((type, i) => {
+    const value = values[i];
+    switch (type) {
+      case "address":
+      case "uint256":
+      case "bytes32":
+        heads.push(word(value));
+        break;
+      case "bytes": {
+        const bytes = new Uint8Array(value);
+        heads.push(word(tailOffset));
+        tails.push(word(bytes.length), padded(bytes));
+        tailOffset += WORD + padded(bytes).length;
+        break;
+      }
+      case "bytes32[]":
+        heads.push(word(tailOffset));
+        tails.push(word(value.length), ...value.map(word));
+        tailOffset += WORD * (value.length + 1);
+        break;
+      default:
+        throw new Error(`Unsupported ABI type ${type}`);
+    }
+  });
+  return concat([...heads, ...tails]);
+}
+
+export const encodeCall = (signature, types, values) => concat([selector(signature), encodeArguments(types, values)]);
+
+// A bb.js proof as the Solidity verifier reads it
+export function solidityProof(proofData) {
+  return { proof: new Uint8Array(proofData.proof).slice(PROOF_HEADER_BYTES), publicInputs: proofData.publicInputs.map(toHex) };
+}
+
+// HonkVerifier.verify(proof, publicInputs)
+export function encodeVerifyCalldata(proofData) {
+  const { proof, publicInputs } = solidityProof(proofData);
+  return encodeCall("verify(bytes,bytes32[])", ["bytes", "bytes32[]"], [proof, publicInputs]);
+}
+
+// Creation code for the registry, bound to a deployed verifier
+export function encodeRegistryDeployment(registryBytecode, verifierAddress) {
+  const code = typeof registryBytecode === "string" ? hexToBytes(registryBytecode) : registryBytecode;
+  return concat([code, encodeArguments(["address"], [verifierAddress])]);
+}
+
+// ZkUniRegistry.publishRound(proof, publicInputs, coordinatorMerkleRoot)
+export function encodePublishRoundCalldata(proofData, coordinatorMerkleRoot) {
+  const { proof, publicInputs } = solidityProof(proofData);
+  return encodeCall(
+    "publishRound(bytes,bytes32[],bytes32)",
+    ["bytes", "bytes32[]", "bytes32"],
+    [proof, publicInputs, coordinatorMerkleRoot]
+  );
+}
+
+export const encodeRoundCountCalldata = () => encodeCall("roundCount()", [], []);
+export const encodeRoundCalldata = roundId => encodeCall("rounds(uint256)", ["uint256"], [roundId]);
+
+const readWord = (data, index) => toBigInt(bytesToHex(data.slice(index * WORD, (index + 1) * WORD)));
+
+export const decodeUint = returnData => readWord(returnData, 0);
+
+// ZkUniRegistry.rounds(roundId) return data
+export function decodeRound(returnData) {
+  return {
+    coordinatorMerkleRoot: readWord(returnData, 0),
+    inputCommitment: readWord(returnData, 1),
+    publishedAt: readWord(returnData, 2)
+  };
+}
+
+// Custom errors the registry reverts with, by selector
+export const REGISTRY_ERRORS = Object.fromEntries(
+  ["NotCoordinator()", "AlreadyPublished(bytes32)", "InvalidProof()"].map(signature => [
+    bytesToHex(selector(signature)),
+    signature.slice(0, signature.indexOf("("))
+  ])
+);
+
+// Name of the registry error in revert data, if it is one
+export const decodeRegistryError = returnData => REGISTRY_ERRORS[bytesToHex(returnData.slice(0, 4))] ?? null;
@@ -0,0 +1,129 @@
+// Permutation maps that hide which circuit slot belongs to which participant.
+// The maps are a Fisher-Yates shuffle of every padded slot, driven by a
+// ChaCha20 keystream (RFC 8439) keyed with a secret 32-byte seed. The
+// coordinator publishes `commitPermutationSeed(seed)` before the run and can
+// later reveal the seed so auditors re-derive the maps with
+// `auditPermutationMaps`.
+import { pedersenHash } from "./hash.js";
+
+const SEED_BYTES = 32;
+
+// Distinct nonces give students and colleges independent streams under one seed
+const STUDENT_NONCE = [0, 0, 1];
+const COLLEGE_NONCE = [0, 0, 2];
+
+const SIGMA = [0x61707865, 0x3320646e, 0x79622d32, 0x6b206574];
+
+const rotl = (x, n) => (x << n) | (x >>> (32 - n));
+
+function quarterRound(s, a, b, c, d) {
+  s[a] += s[b]; s[d] = rotl(s[d] ^ s[a], 16);
+  s[c] += s[d]; s[b] = rotl(s[b] ^ s[c], 12);
+  s[a] += s[b]; s[d] = rotl(s[d] ^ s[a], 8);
+  s[c] += s[d]; s[b] = rotl(s[b] ^ s[c], 7);
+}
+
+// One 64-byte ChaCha20 block as sixteen little-endian words
+function chachaBlock(keyWords, counter, nonceWords) {
+  const input = Uint32Array.from([...SIGMA, ...keyWords, counter, ...nonceWords]);
+  const state = input.slice();
+  for (let round = 0; round < 10; round++) {
+    quarterRound(state, 0, 4, 8, 12);
+    quarterRound(state, 1, 5, 9, 13);
+    quarterRound(state, 2, 6, 10, 14);
+    quarterRound(state, 3, 7, 11, 15);
+    quarterRound(state, 0, 5, 10, 15);
+    quarterRound(state, 1, 6, 11, 12);
+    quarterRound(state, 2, 7, 8, 13);
+    quarterRound(state, 3, 4, 9, 14);
+  }
+  return state.map((word, i) => word + input[i]);
+}
+
+// Returns a function yielding successive 32-bit keystream words
+function keystream(seed, nonceWords) {
+  const view = new DataView(seed.buffer, seed.byteOffset, seed.byteLength);
+  const keyWords = Array.from({ length: 8 }, (_, i) => view.getUint32(i * 4, true));
+  let counter = 0;
+  let block = null;
+  let offset = 16;
+  return () => {
+    if (offset === 16) {
+      block = chachaBlock(keyWords, counter++, nonceWords);
+      offset = 0;
+    }
+    return block[offset++];
+  };
+}
+
+// Uniform integer in [0, bound), rejecting the biased tail of the 32-bit range
+function uniformBelow(next, bound) {
+  const limit = 2 ** 32 - (2 ** 32 % bound);
+  for (;;) {
+    const value = next();
+    if (value < limit) return value % bound;
+  }
+}
+
+function shuffle(next, size) {
+  const map = Array.from({ length: size }, (_, i) => i);
+  for (let i = size - 1; i > 0; i--) {
+    const j = uniformBelow(next, i + 1);
+    [map[i], map[j]] = [map[j], map[i]];
+  }
+  return map;
+}
+
+// Accepts the 0x-prefixed hex produced by generatePermutationSeed, or raw bytes
+function seedBytes(seed) {
+  if (seed instanceof Uint8Array) {
+    if (seed.length !== SEED_BYTES) {
+      throw new RangeError(`Permutation seed must be ${SEED_BYTES} bytes, got ${seed.length}`);
+    }
+    return seed;
+  }
+  const hex = String(seed).replace(/^0x/i, "");
+  if (!/^[0-9a-f]*$/i.test(hex) || hex.length !== SEED_BYTES * 2) {
+    throw new RangeError(`Permutation seed must be ${SEED_BYTES} bytes of hex`);
+  }
+  return Uint8Array.from(hex.match(/../g), byte => parseInt(byte, 16));
+}
+
+// Fresh secret seed from the platform CSPRNG, as 0x-prefixed hex
+export function generatePermutationSeed() {
+  const bytes = globalThis.crypto.getRandomValues(new Uint8Array(SEED_BYTES));
+  return "0x" + Array.from(bytes, b => b.toString(16).padStart(2, "0")).join("");
+}
+
+// Public commitment to a seed: pedersen_hash of its high and low 128-bit halves
+export async function commitPermutationSeed(seed) {
+  const hex = Array.from(seedBytes(seed), b => b.toString(16).padStart(2, "0")).join("");
+  return pedersenHash([BigInt("0x" + hex.slice(0, 32)), BigInt("0x" + hex.slice(32))]);
+}
+
+// `studentIdMap[original] = slot`, uniform over all `studentSlots` slots
+// (likewise for colleges), so real participants also land in padded slots
+export function generatePermutationMaps(seed, studentSlots, collegeSlots) {
+  const bytes = seedBytes(seed);
+  return {
+    studentIdMap: shuffle(keystream(bytes, STUDENT_NONCE), studentSlots),
+    collegeIdMap: shuffle(keystream(bytes, COLLEGE_NONCE), collegeSlots)
+  };
+}
+
+// Check a revealed seed against its commitment and the maps used in a run.
+// Returns a description of every discrepancy; empty means the maps are honest.
+export async function auditPermutationMaps({ seed, commitment, maps }) {
+  const problems = [];
+  if (await commitPermutationSeed(seed) !== BigInt(commitment)) {
+    problems.push("Revealed seed does not open the published commitment");
+  }
+
+  const expected = generatePermutationMaps(seed, maps.studentIdMap.length, maps.collegeIdMap.length);
+  for (const name of ["studentIdMap", "collegeIdMap"]) {
+    if (expected[name].some((slot, i) => slot !== maps[name][i])) {
+      problems.push(`${name} was not derived from the revealed seed`);
+    }
+  }
+  return problems;
+}
@@ -0,0 +1,40 @@
+// Dedicated Web Worker behind src/prover.js: solves, proves and verifies a
+// prepared round off the page's main thread.
+//
+// In:  { inputs, commitment }  (a prepared round's circuit inputs and commitment)
+// Out: { type: "ready", threads }
+//      { type: "progress", stage: "witness" | "proof" | "verify", done, elapsedMs }
+//      { type: "result", proof, bundle, valid, problems, matchResults }
+//      { type: "error", message }
+//
+// bb.js only runs multithreaded with SharedArrayBuffer, which needs the page
+// to be cross-origin isolated (COOP/COEP headers, see vite.config.js).
+import { createBundle, verifyBundle } from "./bundle.js";
+import { configureBackend, generateWitness, proveWitness } from "./matching.js";
+
+const threads = self.crossOriginIsolated ? navigator.hardwareConcurrency ?? 1 : 1;
+configureBackend({ threads });
+self.postMessage({ type: "ready", threads });
+
+// Run one stage, reporting when it starts and how long it took
+async function stage(name, work) {
+  const started = performance.now();
+  self.postMessage({ type: "progress", stage: name, done: false, elapsedMs: 0 });
+  const value = await work();
+  self.postMessage({ type: "progress", stage: name, done: true, elapsedMs: Math.round(performance.now() - started) });
+  return value;
+}
+
+self.onmessage = async ({ data: { inputs, commitment } }) => {
+  try {
+    const witness = await stage("witness", () => generateWitness({ inputs }));
+    const proof = await stage("proof", () => proveWitness(witness));
+    const [bundle, { valid, problems, matchResults }] = await stage("verify", async () => {
+      const created = await createBundle(proof);
+      return [created, await verifyBundle(created, { commitment })];
+    });
+    self.postMessage({ type: "result", proof, bundle, valid, problems, matchResults });
+  } catch (err) {
+    self.postMessage({ type: "error", message: err.message });
+  }
+};
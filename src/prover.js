@@ -0,0 +1,69 @@
+// Proving in the browser without freezing the page: runs a prepared round
+// through src/prover-worker.js, which solves the witness, proves and verifies
+// in a dedicated Web Worker. Each proof gets a fresh worker, so cancelling
+// simply terminates it, wherever bb.js happens to be.
+//
+//   const controller = new AbortController();
+//   const { bundle, valid, matchResults } = await proveInWorker(prepared, {
+//     signal: controller.signal,
+//     onProgress: ({ stage, done, elapsedMs }) => { ... }   // witness, proof, verify
+//   });
+//
+// Browser only; Node callers use prove() and verifyBundle() directly.
+export const PROVER_STAGES = Object.freeze(["witness", "proof", "verify"]);
+
+export class ProvingCancelledError extends Error {
+  constructor() {
+    super("Proving was cancelled");
+    this.name = "ProvingCancelledError";
+  }
+}
+
+// Resolves to { proof, bundle, valid, problems, matchResults, threads }.
+// `onProgress` also gets { stage: "ready", threads } once bb.js knows how many
+// threads it may use.
+export function proveInWorker(prepared, { onProgress = () => {}, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new ProvingCancelledError());
+      return;
+    }
+    const worker = new Worker(new URL("./prover-worker.js", import.meta.url), { type: "module" });
+    let threads = 1;
+    const finish = () => {
+      worker.terminate();
+      signal?.removeEventListener("abort", cancel);
+    };
+    const cancel = () => {
+      finish();
+      reject(new ProvingCancelledError());
+    };
+    signal?.addEventListener("abort", cancel, { once: true });
+
+    worker.onmessage = ({ data }) => {
+      switch (data.type) {
+        case "ready":
+          threads = data.threads;
+          onProgress({ stage: "ready", threads });
+          break;
+        case "progress":
+          onProgress({ stage: data.stage, done: data.done, elapsedMs: data.elapsedMs });
+          break;
+        case "result": {
+          const { type, ...result } = data;
+          finish();
+          resolve({ ...result, threads });
+          break;
+        }
+        default:
+          finish();
+          reject(new Error(data.message));
+      }
+    };
+    worker.onerror = event => {
+      finish();
+      reject(new Error(event.message || "prover worker failed to start"));
+    };
+    worker.postMessage({ inputs: prepared.inputs, commitment: prepared.commitment });
+  });
+}
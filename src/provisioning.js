@@ -0,0 +1,94 @@
+// Batch key provisioning for a matching round: an ElGamal key pair on the
+// circuit's embedded curve (Grumpkin) for every student and college.
+//
+// The public roster lists names and keys in id order; its studentPublicKeys
+// and collegePublicKeys are `EmbeddedCurvePoint`s, ready to go into a round
+// file and from there into `permuted_*_public_keys`:
+//   { round, curve: "grumpkin", students: ["Alice"], colleges: ["Harvard"],
+//     studentPublicKeys: [{ x, y, is_infinite }], collegePublicKeys: [...] }
+// Each participant gets a separate private key file, in the format
+// `zkuni decrypt --key` reads:
+//   { role: "student", id: 0, name: "Alice", round, privateKey: "0x..", publicKey }
+import { N_COLLEGE_QUOTA, N_STUDENT_PREFERENCE } from "./constants.js";
+import { derivePublicKey, generateKeyPair } from "./elgamal.js";
+import { equals, fromNoir, isOnCurve, toBigInt, toHex } from "./grumpkin.js";
+import { RosterValidationError } from "./matching.js";
+import { collegeName, studentName } from "./roster-import.js";
+
+export const KEY_ROLES = ["student", "college"];
+
+// `students` and `colleges` are counts, or lists of names (such as an imported
+// roster's directory). Counts get the placeholder names "Student 0", ...
+export function provisionKeys({ students, colleges, round = null }) {
+  const studentNames = typeof students === "number"
+    ? Array.from({ length: students }, (_, id) => studentName(null, id))
+    : students;
+  const collegeNames = typeof colleges === "number"
+    ? Array.from({ length: colleges }, (_, id) => collegeName(null, id))
+    : colleges;
+
+  const errors = [];
+  for (const [names, kind, max] of [[studentNames, "student", N_STUDENT_PREFERENCE], [collegeNames, "college", N_COLLEGE_QUOTA]]) {
+    if (!Array.isArray(names) || names.length === 0) {
+      errors.push(`need at least one ${kind}`);
+    } else if (names.length > max) {
+      errors.push(`${names.length} ${kind}s, the circuit holds ${max}`);
+    }
+  }
+  if (errors.length > 0) throw new RosterValidationError(errors);
+
+  const keyFiles = [];
+  const provision = (role, names) => names.map((name, id) => {
+    const { privateKey, publicKey } = generateKeyPair();
+    keyFiles.push({ role, id, name, round, privateKey: toHex(privateKey), publicKey });
+    return publicKey;
+  });
+  const publicRoster = {
+    round,
+    curve: "grumpkin",
+    students: studentNames,
+    colleges: collegeNames,
+    studentPublicKeys: provision("student", studentNames),
+    collegePublicKeys: provision("college", collegeNames)
+  };
+  return { publicRoster, keyFiles };
+}
+
+// File name for a participant's private key file
+export const keyFileName = ({ role, id }) => `${role}-${id}.json`;
+
+// Everything wrong with a private key file; empty when it is usable. With a
+// public roster, the key must also be the one provisioned for that participant.
+export function keyFileProblems(keyFile, publicRoster = null) {
+  const problems = [];
+  if (!KEY_ROLES.includes(keyFile?.role)) problems.push(`role must be "student" or "college"`);
+  if (!Number.isInteger(keyFile?.id) || keyFile.id < 0) problems.push("id must be a non-negative integer");
+
+  let privateKey;
+  try {
+    privateKey = toBigInt(keyFile?.privateKey);
+  } catch {
+    problems.push("privateKey must be a field element");
+  }
+  if (privateKey === 0n) problems.push("privateKey must not be zero");
+  if (problems.length > 0) return problems;
+
+  const derived = fromNoir(derivePublicKey(privateKey));
+  let listed = derived;
+  try {
+    if (keyFile.publicKey !== undefined) listed = fromNoir(keyFile.publicKey);
+  } catch {
+    listed = null;
+  }
+  if (!listed || !isOnCurve(listed) || !equals(derived, listed)) problems.push("publicKey does not belong to privateKey");
+
+  if (publicRoster) {
+    const provisioned = publicRoster[`${keyFile.role}PublicKeys`]?.[keyFile.id];
+    if (provisioned === undefined) {
+      problems.push(`the public roster has no ${keyFile.role} ${keyFile.id}`);
+    } else if (!equals(derived, fromNoir(provisioned))) {
+      problems.push(`the public roster lists a different key for ${keyFile.role} ${keyFile.id}`);
+    }
+  }
+  return problems;
+}
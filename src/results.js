@@ -0,0 +1,123 @@
+// Decode the flat list of public field elements a proof carries (public
+// parameters followed by the return value) back into the types declared in
+// `circuit.abi`, e.g. `MatchResults { student_matches, college_matches }`.
+import { toBigInt, toHex } from "./grumpkin.js";
+
+// Number of field elements a value of `type` occupies once flattened
+export function flattenedSize(type) {
+  switch (type.kind) {
+    case "field":
+    case "integer":
+    case "boolean":
+      return 1;
+    case "string":
+      return type.length;
+    case "array":
+      return type.length * flattenedSize(type.type);
+    case "tuple":
+      return type.fields.reduce((sum, field) => sum + flattenedSize(field), 0);
+    case "struct":
+      return type.fields.reduce((sum, field) => sum + flattenedSize(field.type), 0);
+    default:
+      throw new Error(`Unsupported ABI type ${type.kind}`);
+  }
+}
+
+function decodeValue(type, fields, offset, path) {
+  switch (type.kind) {
+    case "field":
+      return [toHex(fields[offset]), offset + 1];
+
+    case "integer": {
+      const value = toBigInt(fields[offset]);
+      return [type.width <= 32 ? Number(value) : value, offset + 1];
+    }
+
+    case "boolean": {
+      const value = toBigInt(fields[offset]);
+      if (value !== 0n && value !== 1n) {
+        throw new Error(`${path} expected a boolean, got ${fields[offset]}`);
+      }
+      return [value === 1n, offset + 1];
+    }
+
+    case "string": {
+      const chars = fields.slice(offset, offset + type.length).map(f => String.fromCharCode(Number(toBigInt(f))));
+      return [chars.join(""), offset + type.length];
+    }
+
+    case "array": {
+      const items = [];
+      for (let i = 0; i < type.length; i++) {
+        let item;
+        [item, offset] = decodeValue(type.type, fields, offset, `${path}[${i}]`);
+        items.push(item);
+      }
+      return [items, offset];
+    }
+
+    case "tuple": {
+      const items = [];
+      type.fields.forEach((fieldType, i) => {
+        let item;
+        [item, offset] = decodeValue(fieldType, fields, offset, `${path}.${i}`);
+        items.push(item);
+      });
+      return [items, offset];
+    }
+
+    case "struct": {
+      const value = {};
+      for (const field of type.fields) {
+        [value[field.name], offset] = decodeValue(field.type, fields, offset, `${path}.${field.name}`);
+      }
+      return [value, offset];
+    }
+
+    default:
+      throw new Error(`Unsupported ABI type ${type.kind} at ${path}`);
+  }
+}
+
+// Number of public field elements a proof of this circuit carries
+export function publicInputCount(abi) {
+  const params = abi.parameters
+    .filter(param => param.visibility === "public")
+    .reduce((sum, param) => sum + flattenedSize(param.type), 0);
+  const ret = abi.return_type ? flattenedSize(abi.return_type.abi_type) : 0;
+  return params + ret;
+}
+
+// Split `proof.publicInputs` into named public parameters and the return value
+export function decodePublicInputs(abi, publicInputs) {
+  if (!Array.isArray(publicInputs)) {
+    throw new Error("Expected publicInputs to be an array of field elements");
+  }
+  const expected = publicInputCount(abi);
+  if (publicInputs.length !== expected) {
+    throw new Error(`Expected ${expected} public field elements, got ${publicInputs.length}`);
+  }
+
+  let offset = 0;
+  const inputs = {};
+  for (const param of abi.parameters) {
+    if (param.visibility !== "public") continue;
+    [inputs[param.name], offset] = decodeValue(param.type, publicInputs, offset, param.name);
+  }
+
+  let returnValue = null;
+  if (abi.return_type) {
+    [returnValue, offset] = decodeValue(abi.return_type.abi_type, publicInputs, offset, "return");
+  }
+
+  return { inputs, returnValue };
+}
+
+// Typed `MatchResults` from a matching proof's public inputs
+export function decodeMatchResults(abi, publicInputs) {
+  const { returnValue } = decodePublicInputs(abi, publicInputs);
+  if (!returnValue || !returnValue.student_matches || !returnValue.college_matches) {
+    throw new Error("Circuit does not return MatchResults");
+  }
+  return returnValue;
+}
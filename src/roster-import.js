@@ -0,0 +1,204 @@
+// Import rosters with named students and colleges from CSV or JSON. Names (or
+// any other labels, such as student numbers) are replaced by numeric ids in
+// file order, and the name <-> id directory stays with the caller: it never
+// goes into circuit inputs, proofs or bundles.
+//
+// JSON:
+//   { "students": [{ "name": "Alice", "preferences": ["Harvard", "Yale"] }],
+//     "colleges": [{ "name": "Harvard", "capacity": 2, "preferences": ["Alice"] }] }
+//
+// CSV, one row per entity; every column after `capacity` is a ranked choice:
+//   role,name,capacity,choice1,choice2,choice3
+//   student,Alice,,Harvard,Yale
+//   college,Harvard,2,Alice
+//
+// The result is { roster, directory }. `roster` holds studentPrefs,
+// collegePrefs and collegeCapacities padded with UNMATCHED; add public keys to
+// it before calling prepareInputs. `directory` is { students, colleges }, the
+// names indexed by id.
+import {
+  MAX_COLLEGE_CAPACITY,
+  MAX_PREFS,
+  N_COLLEGE_QUOTA,
+  N_STUDENT_PREFERENCE,
+  UNMATCHED
+} from "./constants.js";
+
+export class RosterImportError extends Error {
+  constructor(errors) {
+    super(`Cannot import roster:\n  ${errors.join("\n  ")}`);
+    this.name = "RosterImportError";
+    this.errors = errors;
+  }
+}
+
+const CSV_COLUMNS = ["role", "name", "capacity"];
+
+// Rows of fields, with RFC 4180 quoting ("a, b" and "say ""hi""")
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  // Drop blank lines
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ""));
+}
+
+function entitiesFromCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  const columns = (header ?? []).slice(0, CSV_COLUMNS.length).map(cell => cell.trim().toLowerCase());
+  if (columns.join() !== CSV_COLUMNS.join()) {
+    throw new RosterImportError([`CSV header must start with ${CSV_COLUMNS.join(",")}`]);
+  }
+
+  const entities = { students: [], colleges: [] };
+  const errors = [];
+  rows.forEach((cells, i) => {
+    const [role, name, capacity, ...choices] = cells.map(cell => cell.trim());
+    const entity = { name, preferences: choices.filter(choice => choice !== ""), row: i + 1 };
+    if (role.toLowerCase() === "student") {
+      entities.students.push(entity);
+    } else if (role.toLowerCase() === "college") {
+      entities.colleges.push({ ...entity, capacity: capacity === "" ? undefined : Number(capacity) });
+    } else {
+      errors.push(`row ${i + 1}: role must be "student" or "college", got "${role}"`);
+    }
+  });
+  if (errors.length > 0) throw new RosterImportError(errors);
+  return entities;
+}
+
+function entitiesFromJson(text) {
+  let json;
+  try {
+    json = typeof text === "string" ? JSON.parse(text) : text;
+  } catch (err) {
+    throw new RosterImportError([`not JSON: ${err.message}`]);
+  }
+  const errors = [];
+  for (const key of ["students", "colleges"]) {
+    if (!Array.isArray(json?.[key])) errors.push(`"${key}" must be an array`);
+  }
+  if (errors.length > 0) throw new RosterImportError(errors);
+  return { students: json.students, colleges: json.colleges };
+}
+
+// CSV rows are counted from 1 after the header, skipping blank lines
+const describe = (kind, entity, i) => (entity?.row ? `row ${entity.row}` : `${kind}[${i}]`);
+const nameOf = entity => String(entity?.name ?? "").trim();
+
+// Assign ids in file order and record every duplicate or missing name
+function assignIds(kind, entities, errors) {
+  const ids = new Map();
+  entities.forEach((entity, i) => {
+    const name = nameOf(entity);
+    if (name === "") {
+      errors.push(`${describe(kind, entity, i)}: ${kind} has no name`);
+    } else if (ids.has(name)) {
+      errors.push(`${describe(kind, entity, i)}: duplicate ${kind} "${name}"`);
+    } else {
+      ids.set(name, i);
+    }
+  });
+  return ids;
+}
+
+function rankingIds(kind, entity, i, targets, targetKind, maxLength, errors) {
+  const where = `${describe(kind, entity, i)} (${nameOf(entity)})`;
+  if (!Array.isArray(entity?.preferences)) {
+    errors.push(`${where}: preferences must be a list of ${targetKind} names`);
+    return [];
+  }
+  const names = entity.preferences.map(name => String(name).trim());
+  if (names.length > maxLength) {
+    errors.push(`${where}: ranks ${names.length} ${targetKind}s, the circuit allows ${maxLength}`);
+  }
+  const seen = new Set();
+  for (const name of names) {
+    if (!targets.has(name)) errors.push(`${where}: unknown ${targetKind} "${name}"`);
+    if (seen.has(name)) errors.push(`${where}: ranks ${targetKind} "${name}" twice`);
+    seen.add(name);
+  }
+  const ids = names.filter(name => targets.has(name)).map(name => targets.get(name));
+  return [...ids, ...Array(Math.max(maxLength - ids.length, 0)).fill(UNMATCHED)];
+}
+
+// Turn named entities into a numeric roster and its directory
+export function buildRoster({ students, colleges }) {
+  const errors = [];
+  if (students.length > N_STUDENT_PREFERENCE) {
+    errors.push(`${students.length} students, the circuit holds ${N_STUDENT_PREFERENCE}`);
+  }
+  if (colleges.length > N_COLLEGE_QUOTA) {
+    errors.push(`${colleges.length} colleges, the circuit holds ${N_COLLEGE_QUOTA}`);
+  }
+  const studentIds = assignIds("student", students, errors);
+  const collegeIds = assignIds("college", colleges, errors);
+
+  const studentPrefs = students.map((student, i) =>
+    rankingIds("student", student, i, collegeIds, "college", MAX_PREFS, errors));
+  const collegePrefs = colleges.map((college, i) =>
+    rankingIds("college", college, i, studentIds, "student", N_STUDENT_PREFERENCE, errors));
+  const collegeCapacities = colleges.map((college, i) => {
+    const capacity = Number(college?.capacity);
+    if (!Number.isInteger(capacity) || capacity < 0 || capacity > MAX_COLLEGE_CAPACITY) {
+      errors.push(`${describe("college", college, i)} (${nameOf(college)}): capacity must be an integer from 0 to ${MAX_COLLEGE_CAPACITY}`);
+    }
+    return capacity;
+  });
+  if (errors.length > 0) throw new RosterImportError(errors);
+
+  return {
+    roster: { studentPrefs, collegePrefs, collegeCapacities },
+    directory: {
+      students: students.map(nameOf),
+      colleges: colleges.map(nameOf)
+    }
+  };
+}
+
+// Import a roster from CSV or JSON text (or parsed JSON). `format` defaults to
+// CSV unless the text starts with "{".
+const guessFormat = text => (typeof text === "string" && !text.trimStart().startsWith("{") ? "csv" : "json");
+
+export function importRoster(text, { format = guessFormat(text) } = {}) {
+  if (format === "json") return buildRoster(entitiesFromJson(text));
+  if (format === "csv") return buildRoster(entitiesFromCsv(text));
+  throw new RosterImportError([`unknown roster format "${format}"`]);
+}
+
+// "Alice" for student 0, or a placeholder without a directory or for ids it doesn't know
+export const studentName = (directory, id) =>
+  id === UNMATCHED ? "nobody" : directory?.students[id] ?? `Student ${id}`;
+export const collegeName = (directory, id) =>
+  id === UNMATCHED ? "no college" : directory?.colleges[id] ?? `College ${id}`;
@@ -0,0 +1,92 @@
+// Check a plaintext matching against the roster it came from: the README's
+// promise that no student and college would both rather be matched to each
+// other than keep what they got. `matching` is { student_matches,
+// college_matches } in original ids, such as decrypted circuit results or
+// galeShapley's output; college_matches is optional and, when given, must
+// agree with student_matches.
+//
+// Returns { stable, problems }. Each problem is { kind, student, college,
+// message } with kind one of
+//   "blocking-pair"   student and college prefer each other to their match
+//   "over-capacity"   college holds more students than its capacity
+//   "unranked"        student matched to a college they didn't rank, or to
+//                     one that didn't rank them
+//   "inconsistent"    college_matches disagrees with student_matches
+import { UNMATCHED } from "./constants.js";
+import { collegeName, studentName } from "./roster-import.js";
+
+const ranked = list => list.map(Number).filter(id => id !== UNMATCHED);
+
+// `directory` (see roster-import.js) puts names in the messages
+export function checkStability(roster, matching, { directory } = {}) {
+  const student = id => studentName(directory, id);
+  const college = id => collegeName(directory, id);
+  const studentChoices = roster.studentPrefs.map(ranked);
+  const collegeRanks = roster.collegePrefs.map(list => new Map(ranked(list).map((s, rank) => [s, rank])));
+  const capacities = roster.collegeCapacities.map(Number);
+  const matches = matching.student_matches.map(Number);
+  const problems = [];
+  const report = (kind, s, c, message) => problems.push({ kind, student: s, college: c, message });
+
+  // Who each college actually holds, according to the students
+  const admitted = roster.collegePrefs.map(() => []);
+  matches.forEach((c, s) => {
+    if (c === UNMATCHED) return;
+    if (admitted[c] === undefined) {
+      report("unranked", s, c, `${student(s)} is matched to unknown college ${c}`);
+      return;
+    }
+    admitted[c].push(s);
+    if (!studentChoices[s].includes(c)) {
+      report("unranked", s, c, `${student(s)} is matched to ${college(c)}, which they didn't rank`);
+    }
+    if (!collegeRanks[c].has(s)) {
+      report("unranked", s, c, `${college(c)} admitted ${student(s)}, whom it didn't rank`);
+    }
+  });
+
+  admitted.forEach((students, c) => {
+    if (students.length > capacities[c]) {
+      report("over-capacity", null, c,
+        `${college(c)} holds ${students.length} students but has ${capacities[c]} seats`);
+    }
+  });
+
+  matching.college_matches?.forEach((seats, c) => {
+    const listed = ranked(seats);
+    for (const s of listed) {
+      if (matches[s] !== c) {
+        report("inconsistent", s, c, `${college(c)} lists ${student(s)}, who is matched to ${college(matches[s])}`);
+      }
+    }
+    for (const s of admitted[c] ?? []) {
+      if (!listed.includes(s)) {
+        report("inconsistent", s, c, `${student(s)} is matched to ${college(c)}, which doesn't list them`);
+      }
+    }
+  });
+
+  // (s, c) blocks when s ranks c above their match and c would take s: it has
+  // a free seat, or holds someone it ranks below s
+  studentChoices.forEach((choices, s) => {
+    const current = choices.indexOf(matches[s]);
+    const better = current === -1 ? choices : choices.slice(0, current);
+    for (const c of better) {
+      const rank = collegeRanks[c]?.get(s);
+      if (rank === undefined || !(capacities[c] > 0)) continue;
+      const held = admitted[c];
+      if (held.length < capacities[c]) {
+        report("blocking-pair", s, c,
+          `${student(s)} prefers ${college(c)} to ${college(matches[s])}, and ${college(c)} has a free seat`);
+        continue;
+      }
+      const rival = held.find(other => (collegeRanks[c].get(other) ?? Infinity) > rank);
+      if (rival !== undefined) {
+        report("blocking-pair", s, c,
+          `${student(s)} prefers ${college(c)} to ${college(matches[s])}, and ${college(c)} prefers ${student(s)} to ${student(rival)}`);
+      }
+    }
+  });
+
+  return { stable: problems.length === 0, problems };
+}
@@ -0,0 +1,203 @@
+// Sealed preference submissions. A participant encrypts their ranking to the
+// coordinator's Grumpkin key (ECIES: ephemeral ECDH, HKDF-SHA-256, AES-GCM)
+// and signs the ciphertext with their participant key (Schnorr on Grumpkin),
+// so the coordinator can check who sent a submission without reading it:
+//   { format, version, round, role, id, recipient: { x, y, is_infinite },
+//     ephemeralKey, iv, ciphertext, signature: { r: point, s } }
+// The ranking inside is { preferences: [names] } for a student and
+// { preferences: [names], capacity } for a college, plus the hex `salt` of the
+// participant's preference commitment when the submission reveals one.
+//
+// The header (format to recipient) is authenticated by AES-GCM and covered by
+// the signature, so a sealed ranking can't be replayed for another round,
+// participant or coordinator key.
+import { derivePublicKey, randomScalar } from "./elgamal.js";
+import {
+  CURVE_ORDER,
+  add,
+  equals,
+  fixedBaseScalarMul,
+  fromNoir,
+  isOnCurve,
+  multiply,
+  toBigInt,
+  toHex,
+  toNoir
+} from "./grumpkin.js";
+import { KEY_ROLES } from "./provisioning.js";
+
+export const SUBMISSION_FORMAT = "zkuni-submission";
+export const SUBMISSION_VERSION = 1;
+
+export class SubmissionError extends Error {
+  constructor(errors) {
+    super(`Invalid submission:\n  ${errors.join("\n  ")}`);
+    this.name = "SubmissionError";
+    this.errors = errors;
+  }
+}
+
+const utf8 = new TextEncoder();
+const bytesToHex = bytes => Array.from(bytes, b => b.toString(16).padStart(2, "0")).join("");
+const hexToBytes = hex => Uint8Array.from(hex.match(/../g) ?? [], byte => parseInt(byte, 16));
+const fieldBytes = value => hexToBytes(toHex(value).slice(2));
+
+// JSON arrays, so no field can bleed into the next
+const header = ({ round, role, id, recipient }) => {
+  const point = fromNoir(recipient);
+  return JSON.stringify([SUBMISSION_FORMAT, SUBMISSION_VERSION, round, role, id, toHex(point.x), toHex(point.y)]);
+};
+
+// Everything the signature covers
+const signedPayload = envelope => {
+  const ephemeral = fromNoir(envelope.ephemeralKey);
+  return JSON.stringify([header(envelope), toHex(ephemeral.x), toHex(ephemeral.y), envelope.iv, envelope.ciphertext]);
+};
+
+// AES-GCM key from the ECDH point, salted with the ephemeral key
+async function sharedKey(sharedPoint, ephemeralKey) {
+  const { subtle } = globalThis.crypto;
+  const ephemeral = fromNoir(ephemeralKey);
+  const material = await subtle.importKey("raw", fieldBytes(sharedPoint.x), "HKDF", false, ["deriveKey"]);
+  const salt = new Uint8Array([...fieldBytes(ephemeral.x), ...fieldBytes(ephemeral.y)]);
+  return subtle.deriveKey(
+    { name: "HKDF", hash: "SHA-256", salt, info: utf8.encode(SUBMISSION_FORMAT) },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+// Schnorr challenge: SHA-256 over the nonce point, the signer's key and the
+// message, reduced modulo the group order
+async function challenge(r, publicKey, message) {
+  const bytes = new Uint8Array([
+    ...utf8.encode(`${SUBMISSION_FORMAT}:signature`),
+    ...fieldBytes(r.x), ...fieldBytes(r.y),
+    ...fieldBytes(publicKey.x), ...fieldBytes(publicKey.y),
+    ...utf8.encode(message)
+  ]);
+  const digest = new Uint8Array(await globalThis.crypto.subtle.digest("SHA-256", bytes));
+  return BigInt("0x" + bytesToHex(digest)) % CURVE_ORDER;
+}
+
+async function sign(message, privateKey) {
+  const x = toBigInt(privateKey);
+  const k = randomScalar();
+  const r = fixedBaseScalarMul(k);
+  const e = await challenge(r, fromNoir(derivePublicKey(x)), message);
+  return { r: toNoir(r), s: toHex((k + e * x) % CURVE_ORDER) };
+}
+
+async function verifySignature(message, signature, publicKey) {
+  try {
+    const r = fromNoir(signature.r);
+    const s = toBigInt(signature.s);
+    const key = fromNoir(publicKey);
+    if (r.is_infinite || !isOnCurve(r) || s <= 0n || s >= CURVE_ORDER) return false;
+    const e = await challenge(r, key, message);
+    return equals(fixedBaseScalarMul(s), add(r, multiply(key, e)));
+  } catch {
+    return false;
+  }
+}
+
+function rankingProblems(role, ranking) {
+  const problems = [];
+  if (!Array.isArray(ranking?.preferences) || ranking.preferences.some(name => typeof name !== "string")) {
+    problems.push("preferences must be a list of names");
+  }
+  if (role === "college" && !Number.isInteger(ranking?.capacity)) problems.push("a college's capacity must be an integer");
+  if (ranking?.salt !== undefined && !/^0x[0-9a-f]{1,64}$/.test(ranking.salt)) problems.push("salt must be a hex field element");
+  return problems;
+}
+
+// Encrypt `ranking` to `recipient` (the coordinator's public key) and sign it
+// with the participant's private key
+export async function sealSubmission(ranking, { round, role, id, recipient, privateKey }) {
+  const problems = rankingProblems(role, ranking);
+  if (!KEY_ROLES.includes(role)) problems.push(`role must be "student" or "college"`);
+  if (!Number.isInteger(id) || id < 0) problems.push("id must be a non-negative integer");
+  if (problems.length > 0) throw new SubmissionError(problems);
+
+  const ephemeralSecret = randomScalar();
+  const ephemeralKey = derivePublicKey(ephemeralSecret);
+  const key = await sharedKey(multiply(fromNoir(recipient), ephemeralSecret), ephemeralKey);
+  const iv = globalThis.crypto.getRandomValues(new Uint8Array(12));
+  const body = role === "college"
+    ? { preferences: ranking.preferences, capacity: ranking.capacity }
+    : { preferences: ranking.preferences };
+  if (ranking.salt !== undefined) body.salt = ranking.salt;
+  const envelope = {
+    format: SUBMISSION_FORMAT,
+    version: SUBMISSION_VERSION,
+    round,
+    role,
+    id,
+    recipient: toNoir(fromNoir(recipient)),
+    ephemeralKey
+  };
+  const ciphertext = await globalThis.crypto.subtle.encrypt(
+    { name: "AES-GCM", iv, additionalData: utf8.encode(header(envelope)) }, key, utf8.encode(JSON.stringify(body)));
+  Object.assign(envelope, { iv: bytesToHex(iv), ciphertext: bytesToHex(new Uint8Array(ciphertext)) });
+  envelope.signature = await sign(signedPayload(envelope), privateKey);
+  return envelope;
+}
+
+// Everything wrong with a submission, without decrypting it: its shape, that
+// it is addressed to `expected` ({ round, role, id, recipient } as given) and
+// that `publicKey`, the sender's participant key, signed it
+export async function submissionProblems(envelope, { publicKey, ...expected }) {
+  if (envelope?.format !== SUBMISSION_FORMAT) return [`not a ${SUBMISSION_FORMAT} envelope`];
+  if (envelope.version !== SUBMISSION_VERSION) return [`unsupported submission version ${envelope.version}`];
+
+  const problems = [];
+  for (const field of ["round", "role", "id"]) {
+    if (expected[field] !== undefined && envelope[field] !== expected[field]) {
+      problems.push(`addressed to ${field} ${JSON.stringify(envelope[field])}, expected ${JSON.stringify(expected[field])}`);
+    }
+  }
+  try {
+    for (const point of [envelope.recipient, envelope.ephemeralKey]) {
+      const parsed = fromNoir(point);
+      if (parsed.is_infinite || !isOnCurve(parsed)) throw new Error();
+    }
+    if (expected.recipient !== undefined && !equals(fromNoir(envelope.recipient), fromNoir(expected.recipient))) {
+      problems.push("encrypted to a different coordinator key");
+    }
+  } catch {
+    problems.push("recipient and ephemeralKey must be points on the curve");
+  }
+  for (const field of ["iv", "ciphertext"]) {
+    if (typeof envelope[field] !== "string" || !/^([0-9a-f]{2})+$/.test(envelope[field])) problems.push(`${field} must be hex`);
+  }
+  if (problems.length > 0) return problems;
+
+  if (!(await verifySignature(signedPayload(envelope), envelope.signature ?? {}, publicKey))) {
+    problems.push(`not signed by ${envelope.role} ${envelope.id}'s key`);
+  }
+  return problems;
+}
+
+// The ranking inside a submission, after checking the sender's signature.
+// `privateKey` is the coordinator's.
+export async function openSubmission(envelope, { privateKey, publicKey }) {
+  const problems = await submissionProblems(envelope, { publicKey, recipient: derivePublicKey(privateKey) });
+  if (problems.length > 0) throw new SubmissionError(problems);
+
+  const key = await sharedKey(multiply(fromNoir(envelope.ephemeralKey), toBigInt(privateKey)), envelope.ephemeralKey);
+  let plaintext;
+  try {
+    plaintext = await globalThis.crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: hexToBytes(envelope.iv), additionalData: utf8.encode(header(envelope)) },
+      key,
+      hexToBytes(envelope.ciphertext));
+  } catch {
+    throw new SubmissionError(["does not decrypt under the coordinator's key"]);
+  }
+  const ranking = JSON.parse(new TextDecoder().decode(plaintext));
+  const rankingErrors = rankingProblems(envelope.role, ranking);
+  if (rankingErrors.length > 0) throw new SubmissionError(rankingErrors);
+  return ranking;
+}
@@ -1,4 +1,6 @@
 // Simple demonstration of permutation-based privacy without cryptography
+import { UNMATCHED } from "./src/constants.js";
+import { galeShapley } from "./src/gale-shapley.js";
 
 // Original Data (ONLY known to the client)
 const students = ["Alice", "Bob", "Charlie", "David", "Eve"];
@@ -13,6 +15,9 @@ const studentPreferences = {
   "Eve":     ["Stanford", "Harvard", "Yale"]
 };
 
+// Seats per college
+const collegeCapacities = { "Harvard": 2, "Yale": 2, "Stanford": 2 };
+
 const collegePreferences = {
   "Harvard":  ["Bob", "David", "Alice", "Charlie", "Eve"],
   "Yale":     ["Charlie", "Alice", "Eve", "Bob", "David"],
@@ -85,76 +90,30 @@ console.log("Permuted college IDs:", collegePermutation.permuted);
 console.log("Permuted student preferences:", permutedStudentPrefs);
 console.log("Permuted college preferences:", permutedCollegePrefs);
 
-// Simulate the server running the matching algorithm
-function stableMatching(studentPrefs, collegePrefs) {
-  // Simple implementation of Gale-Shapley algorithm
-  // This runs with permuted IDs
-  const matches = {};
+// Simulate the server running the matching algorithm on permuted identities,
+// using the reference engine (it works on numeric ids, in object key order)
+function stableMatching(studentPrefs, collegePrefs, capacities) {
   const studentIDs = Object.keys(studentPrefs);
   const collegeIDs = Object.keys(collegePrefs);
   
-  // Initialize all students as free
-  const freeStudents = [...studentIDs];
-  const collegeMatches = {};
-  collegeIDs.forEach(c => collegeMatches[c] = []);
-  
-  // Create college preference rankings
-  const collegeRankings = {};
-  collegeIDs.forEach(college => {
-    collegeRankings[college] = {};
-    collegePrefs[college].forEach((student, rank) => {
-      collegeRankings[college][student] = rank;
-    });
+  const { student_matches } = galeShapley({
+    studentPrefs: studentIDs.map(s => studentPrefs[s].map(c => collegeIDs.indexOf(c))),
+    collegePrefs: collegeIDs.map(c => collegePrefs[c].map(s => studentIDs.indexOf(s))),
+    collegeCapacities: collegeIDs.map(c => capacities[c])
   });
   
-  // While there are free students who still have colleges to apply to
-  while (freeStudents.length > 0) {
-    const student = freeStudents.pop();
-    const preferences = studentPrefs[student];
-    
-    if (preferences.length === 0) continue;
-    
-    const college = preferences.shift(); // Get first preference
-    
-    if (collegeMatches[college].length < 2) { // Assuming capacity of 2
-      // College has space
-      collegeMatches[college].push(student);
-      matches[student] = college;
-    } else {
-      // College is full, check if student is preferred over any current match
-      const currentMatches = collegeMatches[college];
-      let worstMatch = null;
-      let worstRank = -1;
-      
-      for (const match of currentMatches) {
-        const rank = collegeRankings[college][match];
-        if (worstMatch === null || rank > worstRank) {
-          worstMatch = match;
-          worstRank = rank;
-        }
-      }
-      
-      if (collegeRankings[college][student] < worstRank) {
-        // Replace worst match
-        collegeMatches[college] = [
-          ...collegeMatches[college].filter(s => s !== worstMatch),
-          student
-        ];
-        matches[student] = college;
-        delete matches[worstMatch];
-        freeStudents.push(worstMatch);
-      } else {
-        // Return student to free pool with one fewer preference
-        freeStudents.unshift(student);
-      }
-    }
-  }
-  
+  const matches = {};
+  student_matches.forEach((collegeIndex, i) => {
+    if (collegeIndex !== UNMATCHED) matches[studentIDs[i]] = collegeIDs[collegeIndex];
+  });
   return matches;
 }
 
 // Run the matching algorithm on the permuted preferences
-const permutedMatches = stableMatching(permutedStudentPrefs, permutedCollegePrefs);
+const permutedCapacities = Object.fromEntries(
+  Object.entries(collegeCapacities).map(([college, capacity]) => [collegePermutation.mapping[college], capacity])
+);
+const permutedMatches = stableMatching(permutedStudentPrefs, permutedCollegePrefs, permutedCapacities);
 
 console.log("\n=== PERMUTED RESULTS (WHAT SERVER OUTPUTS) ===");
 console.log(permutedMatches);
@@ -0,0 +1,83 @@
+// Verifier-only page: checks an uploaded or pasted proof bundle against the
+// verification key fingerprint published for the circuit (`zkuni vk`, built
+// into the page) and shows the round's public outputs. Never touches rosters,
+// keys or any other private input.
+import published from "./circuit/target/vk-fingerprint.json" with { type: "json" };
+import {
+  importBundle,
+  publishedFingerprintProblems,
+  verificationKeyFingerprint,
+  verifyBundleWithKey
+} from "./src/bundle.js";
+import { toHex } from "./src/grumpkin.js";
+import { circuitInfo } from "./src/matching.js";
+
+const $ = id => document.getElementById(id);
+
+async function readBundle() {
+  const [file] = $("bundle-file").files;
+  if (file) return importBundle(new Uint8Array(await file.arrayBuffer()));
+  const text = $("bundle-text").value.trim();
+  if (text === "") throw new Error("Choose a bundle file or paste bundle.json");
+  return importBundle(text);
+}
+
+function render(rows, status) {
+  const report = $("report");
+  report.hidden = false;
+  report.innerHTML = "";
+  const heading = document.createElement("h2");
+  heading.textContent = status;
+  const list = document.createElement("dl");
+  for (const [label, value] of rows) {
+    const term = document.createElement("dt");
+    term.textContent = label;
+    const detail = document.createElement("dd");
+    detail.textContent = value;
+    list.append(term, detail);
+  }
+  report.append(heading, list);
+}
+
+// The fingerprint this page was built with, if it belongs to its circuit
+function publishedFingerprint() {
+  if (publishedFingerprintProblems(published).length > 0) {
+    throw new Error(`This page has no published verification key fingerprint for circuit ${circuitInfo.hash}; ` +
+      "run `zkuni vk` with the circuit's proving setup and rebuild it");
+  }
+  return published.fingerprint;
+}
+
+async function verifyUploaded() {
+  render([], "Verifying…");
+  const fingerprint = publishedFingerprint();
+  const bundle = await readBundle();
+  const commitment = $("expected-commitment").value.trim() || undefined;
+
+  const { valid, problems, matchResults } = await verifyBundleWithKey(bundle, { commitment, fingerprint });
+
+  const rows = [
+    ["Circuit", `${bundle.circuit.hash} (noir ${bundle.circuit.noirVersion})`],
+    ["Published verification key fingerprint", fingerprint],
+    ["Bundle verification key fingerprint", await verificationKeyFingerprint(bundle.verificationKey)],
+    ["Input commitment", toHex(bundle.inputCommitment)],
+    ["Merkle root (the coordinator's claim, not covered by the proof)",
+      bundle.merkleRoot === null ? "not included" : toHex(bundle.merkleRoot)]
+  ];
+  if (matchResults) {
+    const collegeSlots = matchResults.college_matches.reduce((sum, slots) => sum + slots.length, 0);
+    rows.push(["Encrypted results",
+      `${matchResults.student_matches.length} student and ${collegeSlots} college ciphertexts`]);
+  }
+  problems.forEach(problem => rows.push(["Problem", problem]));
+  render(rows, valid && problems.length === 0 ? "✅ Proof is valid" : "❌ Proof is NOT valid");
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  $("verify-btn").addEventListener("click", () => {
+    verifyUploaded().catch(err => {
+      console.error("Verification failed:", err);
+      render([["Error", err.message]], "❌ Could not verify bundle");
+    });
+  });
+});
@@ -1,6 +1,23 @@
+// Cross-origin isolation gives the page SharedArrayBuffer, which bb.js needs
+// to prove on more than one thread (src/prover-worker.js)
+const crossOriginIsolation = {
+  "Cross-Origin-Opener-Policy": "same-origin",
+  "Cross-Origin-Embedder-Policy": "require-corp"
+};
+
 export default {
   optimizeDeps: { 
     esbuildOptions: { target: "esnext" },
     exclude: ['@noir-lang/noirc_abi', '@noir-lang/acvm_js']
+  },
+  server: { headers: crossOriginIsolation },
+  preview: { headers: crossOriginIsolation },
+  // The prover worker imports the same modules as the page
+  worker: { format: "es" },
+  build: {
+    rollupOptions: {
+      // The verifier page ships separately so auditors never load the prover UI
+      input: { main: "index.html", verifier: "verifier.html" }
+    }
   }
 };